@@ -11,6 +11,9 @@ if [ -d /opt/custom-certificates ]; then
   c_rehash /opt/custom-certificates
 fi
 
+# Trace Annotate node; also registered without tracing so workflows using it still load
+export N8N_CUSTOM_EXTENSIONS="/opt/opentelemetry/nodes${N8N_CUSTOM_EXTENSIONS:+;$N8N_CUSTOM_EXTENSIONS}"
+
 if [ "${OTEL_SDK_DISABLED}" = "false" ]; then
   echo "Starting n8n with OpenTelemetry instrumentation..."
   # Ensure n8n's own nested dependencies (like n8n-workflow) are resolvable.
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Annotations set from workflows by the Trace Annotate node
+ * (nodes/TraceAnnotate.node.js), on the workflow span, on the annotating
+ * node's span, or on a new span in the trace of an earlier execution:
+ *
+ *   metadata             keys merged into the OpenInference `metadata` JSON
+ *   tags                 appended to `tag.tags`
+ *   userId / sessionId   replace `user.id` / `session.id`
+ *   events               span events ({ name, attributes })
+ *   feedback             scores ({ name, score, label, explanation }), as
+ *                        n8n.feedback.<name>.score / .label / .explanation
+ *                        plus an n8n.feedback event
+ */
+
+const MAX_TAGS = 50;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Span attribute values are primitives or arrays of primitives
+function toAttributeValue(value) {
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (Array.isArray(value) && value.every((v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean')) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+// Feedback names become attribute key segments
+function feedbackKey(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'score';
+}
+
+function optionalString(value, field) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string' && typeof value !== 'number') throw new TypeError(`${field} must be a string`);
+  return String(value);
+}
+
+/**
+ * Validate an annotation and drop empty fields.
+ * @param {object} input
+ * @returns {{ metadata: object, tags: string[], userId?: string, sessionId?: string, events: object[], feedback: object[] }}
+ * @throws {TypeError} on malformed fields
+ */
+function normalizeAnnotation(input = {}) {
+  const metadata = input.metadata ?? {};
+  if (!isPlainObject(metadata)) throw new TypeError('metadata must be an object');
+
+  const tags = (Array.isArray(input.tags) ? input.tags : input.tags == null ? [] : String(input.tags).split(','))
+    .map((tag) => String(tag).trim())
+    .filter(Boolean);
+
+  const events = (input.events ?? []).map((event) => {
+    if (!event || typeof event.name !== 'string' || !event.name.trim()) throw new TypeError('every event needs a name');
+    const attributes = event.attributes ?? {};
+    if (!isPlainObject(attributes)) throw new TypeError(`attributes of event "${event.name}" must be an object`);
+    return { name: event.name.trim(), attributes };
+  });
+
+  const feedback = (input.feedback ?? []).map((entry) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) throw new TypeError('every feedback score needs a name');
+    const score = entry.score === undefined || entry.score === null || entry.score === '' ? undefined : Number(entry.score);
+    if (score !== undefined && !Number.isFinite(score)) throw new TypeError(`score of "${entry.name}" must be a number`);
+    const label = optionalString(entry.label, `label of "${entry.name}"`);
+    if (score === undefined && label === undefined) throw new TypeError(`feedback "${entry.name}" needs a score or a label`);
+    return { name: entry.name.trim(), score, label, explanation: optionalString(entry.explanation, `explanation of "${entry.name}"`) };
+  });
+
+  return {
+    metadata,
+    tags,
+    userId: optionalString(input.userId, 'userId'),
+    sessionId: optionalString(input.sessionId, 'sessionId'),
+    events,
+    feedback,
+  };
+}
+
+function parseMetadata(value) {
+  if (typeof value !== 'string') return {};
+  try {
+    const parsed = JSON.parse(value);
+    return isPlainObject(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Apply a normalized annotation to a span.
+ * @param {object} span - A recording SDK span (attributes are read back to merge)
+ * @param {object} annotation - From normalizeAnnotation()
+ */
+function applyAnnotation(span, annotation) {
+  const current = span.attributes || {};
+  const { metadata, tags, userId, sessionId, events, feedback } = annotation;
+
+  if (Object.keys(metadata).length) {
+    span.setAttribute('metadata', JSON.stringify({ ...parseMetadata(current.metadata), ...metadata }));
+  }
+  if (tags.length) {
+    const existing = Array.isArray(current['tag.tags']) ? current['tag.tags'] : [];
+    span.setAttribute('tag.tags', [...new Set([...existing, ...tags])].slice(0, MAX_TAGS));
+  }
+  if (userId !== undefined) span.setAttribute('user.id', userId);
+  if (sessionId !== undefined) span.setAttribute('session.id', sessionId);
+
+  for (const event of events) {
+    const attributes = {};
+    for (const [key, value] of Object.entries(event.attributes)) {
+      if (value !== undefined && value !== null) attributes[key] = toAttributeValue(value);
+    }
+    span.addEvent(event.name, attributes);
+  }
+
+  for (const entry of feedback) {
+    const prefix = `n8n.feedback.${feedbackKey(entry.name)}`;
+    const eventAttributes = { 'n8n.feedback.name': entry.name };
+    if (entry.score !== undefined) {
+      span.setAttribute(`${prefix}.score`, entry.score);
+      eventAttributes['n8n.feedback.score'] = entry.score;
+    }
+    if (entry.label !== undefined) {
+      span.setAttribute(`${prefix}.label`, entry.label);
+      eventAttributes['n8n.feedback.label'] = entry.label;
+    }
+    if (entry.explanation !== undefined) {
+      span.setAttribute(`${prefix}.explanation`, entry.explanation);
+      eventAttributes['n8n.feedback.explanation'] = entry.explanation;
+    }
+    span.addEvent('n8n.feedback', eventAttributes);
+  }
+}
+
+module.exports = { normalizeAnnotation, applyAnnotation };
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Trace destinations: build OTLP exporters and fan spans out to several
+ * named backends at once (e.g. Arize cloud, a local Phoenix and a collector).
+ *
+ * Destination config (TRACING_DESTINATIONS / TRACING_DESTINATIONS_FILE):
+ *   {
+ *     "name": "arize",                 // used in logs
+ *     "type": "arize" | "otlp" | "file",
+ *     "protocol": "grpc" | "http",     // default: grpc for arize, http for otlp
+ *     "endpoint": "https://...",       // http: /v1/traces is appended if missing
+ *     "headers": { "authorization": "Bearer ${MY_TOKEN}" },  // ${VAR} is read from the environment
+ *     "compression": "gzip" | "none",
+ *     "filter": { "spanKinds": ["AGENT", "LLM"], "excludeSpanKinds": ["CHAIN"] },
+ *     // arize only (default to ARIZE_* env vars):
+ *     "spaceId": "...", "apiKey": "...",
+ *     // file only (see file-exporter.js):
+ *     "directory": "/data/spans", "maxBytes": 10485760, "maxFiles": 10
+ *   }
+ */
+
+const fs = require('fs');
+const { OTLPTraceExporter: OTLPTraceExporterHTTP } = require('@opentelemetry/exporter-trace-otlp-http');
+const { OTLPTraceExporter: OTLPTraceExporterGRPC } = require('@opentelemetry/exporter-trace-otlp-grpc');
+const { BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { FileSpanExporter } = require('./file-exporter');
+
+/**
+ * Build gRPC Metadata object from a plain headers object.
+ */
+function buildGrpcMetadata(headers) {
+  const grpc = require('@grpc/grpc-js');
+  const metadata = new grpc.Metadata();
+  for (const [key, value] of Object.entries(headers)) {
+    metadata.add(key, value);
+  }
+  return metadata;
+}
+
+/**
+ * Create an OTLP trace exporter.
+ * @param {object} options
+ * @param {'grpc'|'http'} options.protocol
+ * @param {string} [options.endpoint] - Omit to use the standard OTEL_EXPORTER_OTLP_* env vars
+ * @param {object} [options.headers]
+ * @param {'gzip'|'none'} [options.compression]
+ */
+function createOtlpTraceExporter({ protocol, endpoint, headers = {}, compression }) {
+  const config = {};
+  if (compression) config.compression = compression;
+
+  if (protocol === 'grpc') {
+    if (endpoint) config.url = endpoint;
+    if (Object.keys(headers).length) config.metadata = buildGrpcMetadata(headers);
+    return new OTLPTraceExporterGRPC(config);
+  }
+
+  if (endpoint) {
+    const base = endpoint.replace(/\/$/, '');
+    config.url = base.endsWith('/v1/traces') ? base : `${base}/v1/traces`;
+  }
+  if (Object.keys(headers).length) config.headers = headers;
+  return new OTLPTraceExporterHTTP(config);
+}
+
+// Replace ${VAR} references with environment values so secrets stay out of the config
+function interpolateEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => process.env[name] ?? '');
+}
+
+/**
+ * Load destination configs from an inline JSON string and/or a JSON file.
+ * @returns {object[]}
+ */
+function loadDestinations({ json, file }) {
+  const destinations = [];
+  const add = (value, source) => {
+    if (!Array.isArray(value)) throw new Error(`${source} must be a JSON array`);
+    destinations.push(...value);
+  };
+  if (json && json.trim()) {
+    try {
+      add(JSON.parse(json), 'TRACING_DESTINATIONS');
+    } catch (e) {
+      throw new Error(`Invalid TRACING_DESTINATIONS: ${e.message}`);
+    }
+  }
+  if (file && file.trim()) {
+    try {
+      add(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    } catch (e) {
+      throw new Error(`Invalid TRACING_DESTINATIONS_FILE ${file}: ${e.message}`);
+    }
+  }
+  destinations.forEach((d, idx) => {
+    if (!d || typeof d !== 'object') throw new Error(`Destination #${idx} must be an object`);
+    d.name = d.name || `destination-${idx}`;
+  });
+  return destinations;
+}
+
+/**
+ * Create the exporter for a destination.
+ * @param {object} destination
+ * @param {object} arizeDefaults - { spaceId, apiKey, protocol, endpoint } from ARIZE_* env vars
+ */
+function createDestinationExporter(destination, arizeDefaults = {}) {
+  const headers = {};
+  for (const [key, value] of Object.entries(destination.headers || {})) {
+    headers[key] = interpolateEnv(String(value));
+  }
+  const type = destination.type || 'otlp';
+
+  if (type === 'arize') {
+    const spaceId = interpolateEnv(destination.spaceId) || arizeDefaults.spaceId;
+    const apiKey = interpolateEnv(destination.apiKey) || arizeDefaults.apiKey;
+    if (!spaceId || !apiKey) {
+      throw new Error(`Destination "${destination.name}": Arize space id and api key are required`);
+    }
+    return createOtlpTraceExporter({
+      protocol: destination.protocol || arizeDefaults.protocol || 'grpc',
+      endpoint: destination.endpoint || arizeDefaults.endpoint,
+      headers: { space_id: spaceId, api_key: apiKey, ...headers },
+      compression: destination.compression,
+    });
+  }
+
+  if (type === 'otlp') {
+    return createOtlpTraceExporter({
+      protocol: destination.protocol || 'http',
+      endpoint: interpolateEnv(destination.endpoint),
+      headers,
+      compression: destination.compression,
+    });
+  }
+
+  if (type === 'file') {
+    return new FileSpanExporter({
+      directory: interpolateEnv(destination.directory),
+      maxBytes: destination.maxBytes,
+      maxFiles: destination.maxFiles,
+      prefix: destination.prefix,
+    });
+  }
+
+  throw new Error(`Destination "${destination.name}": unknown type "${type}"`);
+}
+
+/**
+ * Compile a destination filter into a predicate over finished spans.
+ * @param {object} [filter]
+ * @returns {(span: object) => boolean}
+ */
+function compileSpanFilter(filter) {
+  if (!filter) return () => true;
+  const include = filter.spanKinds?.map((k) => String(k).toUpperCase());
+  const exclude = filter.excludeSpanKinds?.map((k) => String(k).toUpperCase());
+  return (span) => {
+    const kind = String(span.attributes?.['openinference.span.kind'] || '').toUpperCase();
+    if (include && !include.includes(kind)) return false;
+    if (exclude && exclude.includes(kind)) return false;
+    return true;
+  };
+}
+
+/**
+ * Span processor that only forwards finished spans accepted by a filter.
+ */
+class FilteringSpanProcessor {
+  constructor(downstream, predicate) {
+    this.downstream = downstream;
+    this.predicate = predicate;
+  }
+
+  onStart(span, parentContext) {
+    this.downstream.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    if (this.predicate(span)) this.downstream.onEnd(span);
+  }
+
+  forceFlush() {
+    return this.downstream.forceFlush();
+  }
+
+  shutdown() {
+    return this.downstream.shutdown();
+  }
+}
+
+/**
+ * Span processor forwarding to several processors (one per destination).
+ * A failing destination never prevents the others from receiving spans.
+ */
+class FanOutSpanProcessor {
+  constructor(processors) {
+    this.processors = processors;
+  }
+
+  onStart(span, parentContext) {
+    for (const p of this.processors) {
+      try {
+        p.onStart(span, parentContext);
+      } catch (e) {
+        // isolate destinations
+      }
+    }
+  }
+
+  onEnd(span) {
+    for (const p of this.processors) {
+      try {
+        p.onEnd(span);
+      } catch (e) {
+        // isolate destinations
+      }
+    }
+  }
+
+  async forceFlush() {
+    await Promise.allSettled(this.processors.map((p) => p.forceFlush()));
+  }
+
+  async shutdown() {
+    await Promise.allSettled(this.processors.map((p) => p.shutdown()));
+  }
+}
+
+/**
+ * Build one batching (and optionally filtering) span processor per destination.
+ * @param {object[]} destinations
+ * @param {object} arizeDefaults
+ * @returns {object[]} Span processors
+ */
+function buildDestinationProcessors(destinations, arizeDefaults) {
+  return destinations.map((destination) => {
+    const exporter = createDestinationExporter(destination, arizeDefaults);
+    const batch = new BatchSpanProcessor(exporter);
+    return destination.filter ? new FilteringSpanProcessor(batch, compileSpanFilter(destination.filter)) : batch;
+  });
+}
+
+module.exports = {
+  buildGrpcMetadata,
+  createOtlpTraceExporter,
+  loadDestinations,
+  createDestinationExporter,
+  buildDestinationProcessors,
+  compileSpanFilter,
+  FilteringSpanProcessor,
+  FanOutSpanProcessor,
+};
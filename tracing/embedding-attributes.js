@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * OpenInference attributes for EMBEDDING node spans.
+ *
+ *   embedding.model_name                  configured model
+ *   embedding.embeddings.N.embedding.text embedded inputs
+ *   embedding.embeddings.N.embedding.vector  opt-in, capped in count and dimensions
+ *
+ * Embedding nodes receive `{ documents: [string | Document] }` (embedDocuments)
+ * or `{ query }` (embedQuery) and return `{ response: number[] | number[][] }`.
+ */
+
+const { getLlmProvider, getConfiguredModel } = require('./llm-attributes');
+
+// Input fields holding a single embedded text
+const TEXT_FIELDS = ['query', 'text', 'input'];
+
+function isVector(value) {
+  return Array.isArray(value) && value.length > 0 && typeof value[0] === 'number';
+}
+
+/**
+ * Texts sent to the embedding model.
+ * @param {object[]} items - Input item json
+ * @returns {string[]}
+ */
+function extractEmbeddingTexts(items) {
+  const texts = [];
+  for (const json of items || []) {
+    if (!json || typeof json !== 'object') continue;
+    if (Array.isArray(json.documents)) {
+      for (const doc of json.documents) {
+        const text = typeof doc === 'string' ? doc : doc?.pageContent;
+        if (typeof text === 'string') texts.push(text);
+      }
+      continue;
+    }
+    const field = TEXT_FIELDS.find((f) => typeof json[f] === 'string');
+    if (field) texts.push(json[field]);
+  }
+  return texts;
+}
+
+/**
+ * Vectors returned by the embedding model.
+ * @param {object[]} items - Output item json
+ * @returns {number[][]}
+ */
+function extractEmbeddingVectors(items) {
+  const vectors = [];
+  for (const json of items || []) {
+    const value = json?.response ?? json?.embeddings ?? json?.embedding;
+    if (isVector(value)) vectors.push(value);
+    else if (Array.isArray(value)) vectors.push(...value.filter(isVector));
+  }
+  return vectors;
+}
+
+/**
+ * Model name attribute, set when the node span starts.
+ * @param {object} node
+ * @returns {object} attributes
+ */
+function extractEmbeddingModelAttributes(node) {
+  const model = getConfiguredModel(node?.parameters, getLlmProvider(node?.type));
+  return model ? { 'embedding.model_name': model } : {};
+}
+
+/**
+ * Embedded texts and (optionally) vectors.
+ * @param {object[]} inputItems - Input item json
+ * @param {object[]} outputItems - Output item json
+ * @param {object} [options]
+ * @param {boolean} [options.includeVectors=false]
+ * @param {number} [options.maxEmbeddings=10] - Embeddings captured per span
+ * @param {number} [options.maxDimensions=3072] - Vector values captured per embedding
+ * @param {(text: string) => string} [options.mapText] - Applied to texts (redaction, truncation)
+ * @returns {object} attributes
+ */
+function extractEmbeddingAttributes(inputItems, outputItems, { includeVectors = false, maxEmbeddings = 10, maxDimensions = 3072, mapText = (t) => t } = {}) {
+  const attributes = {};
+  extractEmbeddingTexts(inputItems).slice(0, maxEmbeddings).forEach((text, i) => {
+    attributes[`embedding.embeddings.${i}.embedding.text`] = mapText(text);
+  });
+  if (includeVectors) {
+    extractEmbeddingVectors(outputItems).slice(0, maxEmbeddings).forEach((vector, i) => {
+      attributes[`embedding.embeddings.${i}.embedding.vector`] = vector.slice(0, maxDimensions);
+    });
+  }
+  return attributes;
+}
+
+module.exports = { extractEmbeddingModelAttributes, extractEmbeddingAttributes };
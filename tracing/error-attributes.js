@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Structured attributes for n8n errors (NodeApiError, NodeOperationError,
+ * WorkflowOperationError, ... all extending ExecutionBaseError):
+ *
+ *   error.type                  error class (NodeApiError, ...)
+ *   n8n.error.message           message shown in the n8n UI
+ *   n8n.error.description       longer explanation, when set
+ *   n8n.error.http_code         HTTP status of the failing upstream request (NodeApiError)
+ *   n8n.error.functionality     'regular' or 'configuration-node'
+ *   n8n.error.level             'error' | 'warning' | 'info'
+ *   n8n.error.node              node that raised the error
+ *   n8n.error.item_index        index of the item being processed
+ *   n8n.error.run_index         run index of the node
+ *   n8n.error.context           JSON of the remaining error context (I/O capture only)
+ *   n8n.error.cause             message of the underlying error (I/O capture only)
+ *   n8n.error.response          body of the upstream API response (I/O capture only)
+ *
+ * Messages and descriptions of API errors quote the upstream response, so all
+ * text goes through mapText (redaction, truncation).
+ *
+ * Also builds the link from an Error Trigger execution back to the failed one.
+ */
+
+// Context keys mapped to their own attributes
+const CONTEXT_KEYS = new Set(['itemIndex', 'runIndex']);
+
+function stringify(value) {
+  if (value == null) return undefined;
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+function toInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : undefined;
+}
+
+// Upstream response of a failed HTTP request: axios-style errors keep it on `response`,
+// request-promise style ones on `error`
+function getUpstreamResponse(error) {
+  const cause = error?.cause;
+  return cause?.response?.data ?? cause?.error ?? error?.errorResponse?.response?.data ?? undefined;
+}
+
+/**
+ * Attributes of an n8n error.
+ * @param {Error} error
+ * @param {object} [options]
+ * @param {boolean} [options.includeDetails=false] - Add the error context, cause and upstream response body (captured I/O)
+ * @param {(text: string) => string} [options.mapText] - Applied to every text attribute (redaction, truncation)
+ * @returns {object} attributes
+ */
+function extractErrorAttributes(error, { includeDetails = false, mapText = (t) => t } = {}) {
+  if (!error || typeof error !== 'object') return {};
+  const attributes = {};
+  const set = (key, value) => {
+    if (value !== undefined && value !== null && value !== '') attributes[key] = value;
+  };
+
+  set('error.type', error.constructor?.name && error.constructor.name !== 'Object' ? error.constructor.name : error.name);
+  set('n8n.error.message', typeof error.message === 'string' ? mapText(error.message) : undefined);
+  set('n8n.error.description', typeof error.description === 'string' ? mapText(error.description) : undefined);
+  const httpCode = toInt(error.httpCode ?? error.cause?.response?.status ?? error.cause?.statusCode);
+  set('n8n.error.http_code', httpCode);
+  set('n8n.error.functionality', error.functionality);
+  set('n8n.error.level', error.level);
+  set('n8n.error.node', error.node?.name);
+
+  const context = error.context && typeof error.context === 'object' ? error.context : {};
+  set('n8n.error.item_index', toInt(context.itemIndex));
+  set('n8n.error.run_index', toInt(context.runIndex));
+  if (!includeDetails) return attributes;
+
+  const rest = Object.fromEntries(Object.entries(context).filter(([key]) => !CONTEXT_KEYS.has(key)));
+  if (Object.keys(rest).length) set('n8n.error.context', mapText(stringify(rest)));
+  const cause = error.cause;
+  if (cause && cause !== error) {
+    set('n8n.error.cause', mapText(typeof cause === 'object' ? cause.message || stringify(cause) : String(cause)));
+  }
+  const response = getUpstreamResponse(error);
+  if (response !== undefined) set('n8n.error.response', mapText(stringify(response)));
+  return attributes;
+}
+
+/**
+ * The failed execution an Error Trigger run was started for, from its trigger item:
+ * { execution: { id, error, lastNodeExecuted, mode }, workflow: { id, name } }
+ * @param {object} start - From getStartNodeExecution()
+ * @returns {{ executionId: string, workflowId?: string, lastNodeExecuted?: string } | undefined}
+ */
+function getFailedExecution(start) {
+  if (typeof start?.node?.type !== 'string' || !/errortrigger$/i.test(start.node.type)) return undefined;
+  const item = start.items?.[0];
+  const executionId = item?.execution?.id;
+  if (executionId == null) return undefined;
+  return {
+    executionId: String(executionId),
+    workflowId: item.workflow?.id != null ? String(item.workflow.id) : undefined,
+    lastNodeExecuted: item.execution.lastNodeExecuted,
+  };
+}
+
+module.exports = { extractErrorAttributes, getFailedExecution };
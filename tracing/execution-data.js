@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Helpers for reading n8n execution structures (Workflow, IRunExecutionData)
+ * without depending on a specific n8n version.
+ */
+
+/**
+ * List the nodes of a workflow. `Workflow` instances keep nodes in an object
+ * keyed by node name, while raw workflow data (IWorkflowBase) uses an array.
+ * @param {object} workflow
+ * @returns {object[]}
+ */
+function listWorkflowNodes(workflow) {
+  const nodes = workflow?.nodes;
+  if (!nodes) return [];
+  return Array.isArray(nodes) ? nodes : Object.values(nodes);
+}
+
+/**
+ * Find a workflow node by name.
+ * @param {object} workflow
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+function findWorkflowNode(workflow, name) {
+  if (!name) return undefined;
+  if (typeof workflow?.getNode === 'function') {
+    try {
+      const node = workflow.getNode(name);
+      if (node) return node;
+    } catch (e) {
+      // fall through to the manual lookup
+    }
+  }
+  return listWorkflowNodes(workflow).find((n) => n?.name === name);
+}
+
+/**
+ * Collect the `json` of every item in an ITaskDataConnections-like structure
+ * ({ main: INodeExecutionData[][] }).
+ * @param {object} connections
+ * @returns {object[]}
+ */
+function collectMainItems(connections) {
+  const items = [];
+  const main = connections?.main;
+  if (!Array.isArray(main)) return items;
+  for (const connection of main) {
+    if (!Array.isArray(connection)) continue;
+    for (const item of connection) {
+      if (item?.json) items.push(item.json);
+    }
+  }
+  return items;
+}
+
+/**
+ * Locate the node that started an execution and the items it received.
+ *
+ * For trigger/webhook executions n8n puts the start node on the execution
+ * stack with the trigger payload as its input. When the stack has already
+ * been consumed (e.g. a resumed execution) the first entry of runData is used.
+ *
+ * @param {object} runExecutionData - IRunExecutionData
+ * @param {object} [workflow] - Workflow, used to resolve the node from runData
+ * @returns {{ node?: object, nodeName?: string, items: object[] } | undefined}
+ */
+function getStartNodeExecution(runExecutionData, workflow) {
+  const stack = runExecutionData?.executionData?.nodeExecutionStack;
+  if (Array.isArray(stack) && stack.length) {
+    const first = stack[0];
+    const items = collectMainItems(first?.data);
+    if (items.length) return { node: first.node, nodeName: first.node?.name, items };
+  }
+
+  const runData = runExecutionData?.resultData?.runData;
+  if (runData && typeof runData === 'object') {
+    const nodeName = Object.keys(runData)[0];
+    const firstRun = nodeName ? runData[nodeName]?.[0] : undefined;
+    const items = collectMainItems(firstRun?.data);
+    if (items.length) return { node: findWorkflowNode(workflow, nodeName), nodeName, items };
+  }
+  return undefined;
+}
+
+/**
+ * Read the items a node produced in a given run from runData.
+ * @param {object} runExecutionData
+ * @param {string} nodeName
+ * @param {number} [runIndex] - Defaults to the latest run
+ * @returns {object[]}
+ */
+function getNodeRunItems(runExecutionData, nodeName, runIndex) {
+  const runs = runExecutionData?.resultData?.runData?.[nodeName];
+  if (!Array.isArray(runs) || !runs.length) return [];
+  const run = runs[runIndex ?? runs.length - 1];
+  return collectMainItems(run?.data);
+}
+
+/**
+ * Names of the sub-nodes attached to a node through an AI connection type
+ * (e.g. the memory nodes of an agent via 'ai_memory').
+ * @param {object} workflow
+ * @param {string} nodeName
+ * @param {string} connectionType
+ * @returns {string[]}
+ */
+function getConnectedSubNodes(workflow, nodeName, connectionType) {
+  if (!workflow || !nodeName) return [];
+  const byDestination = workflow.connectionsByDestinationNode?.[nodeName]?.[connectionType];
+  if (Array.isArray(byDestination)) {
+    return byDestination.flat().filter(Boolean).map((c) => c.node);
+  }
+  // Raw workflow data only has connections keyed by source node
+  const names = [];
+  for (const [source, types] of Object.entries(workflow.connections || {})) {
+    const outputs = types?.[connectionType];
+    if (!Array.isArray(outputs)) continue;
+    if (outputs.flat().some((c) => c?.node === nodeName)) names.push(source);
+  }
+  return names;
+}
+
+/**
+ * Runs a sub-node recorded while supplying data to a parent node. Sub-node
+ * task data carries `source: [{ previousNode: <parent> }]`; runs without a
+ * source are included as well.
+ * @param {object} runExecutionData
+ * @param {string} subNodeName
+ * @param {string} parentNodeName
+ * @returns {object[]} ITaskData entries, oldest first
+ */
+function getSubNodeRuns(runExecutionData, subNodeName, parentNodeName) {
+  const runs = runExecutionData?.resultData?.runData?.[subNodeName];
+  if (!Array.isArray(runs)) return [];
+  return runs.filter((run) => {
+    const sources = Array.isArray(run?.source) ? run.source.filter(Boolean) : [];
+    return !sources.length || sources.some((s) => s.previousNode === parentNodeName);
+  });
+}
+
+/**
+ * Resolve an n8n parameter value. Expressions (strings starting with '=') are
+ * evaluated through the workflow's expression engine for the first item; when
+ * that is not possible the template text is returned without the leading '='.
+ * @param {object} workflow
+ * @param {any} value
+ * @param {object} context
+ * @param {object} context.runExecutionData
+ * @param {number} [context.runIndex]
+ * @param {object} context.node
+ * @param {object[]} [context.items] - Input items (INodeExecutionData[])
+ * @param {string} [context.mode]
+ * @returns {any}
+ */
+function resolveNodeParameter(workflow, value, { runExecutionData, runIndex = 0, node, items = [], mode = 'internal' }) {
+  if (typeof value !== 'string' || !value.startsWith('=')) return value;
+  try {
+    if (typeof workflow?.expression?.getParameterValue === 'function') {
+      const resolved = workflow.expression.getParameterValue(value, runExecutionData, runIndex, 0, node?.name, items, mode, {});
+      if (resolved !== undefined && resolved !== null) return resolved;
+    }
+  } catch (e) {
+    // fall back to the template
+  }
+  return value.slice(1);
+}
+
+module.exports = {
+  listWorkflowNodes,
+  findWorkflowNode,
+  collectMainItems,
+  getStartNodeExecution,
+  getNodeRunItems,
+  getConnectedSubNodes,
+  getSubNodeRuns,
+  resolveNodeParameter,
+};
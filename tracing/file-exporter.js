@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Span exporter writing finished spans to rotated JSONL files.
+ *
+ * Each line is one OTLP/JSON ExportTraceServiceRequest (resourceSpans with
+ * all attributes, events, links and resource data) - the same payload the
+ * OTLP/HTTP JSON exporter sends. Files can therefore be replayed to any
+ * collector later by POSTing each line to /v1/traces with
+ * `Content-Type: application/json`.
+ *
+ * The active file is `<prefix>.jsonl`; when it would exceed `maxBytes` it is
+ * renamed to `<prefix>-<timestamp>.jsonl` and the oldest rotated files beyond
+ * `maxFiles` are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ExportResultCode } = require('@opentelemetry/core');
+const { JsonTraceSerializer } = require('@opentelemetry/otlp-transformer');
+
+class FileSpanExporter {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Output directory (created if missing)
+   * @param {number} [options.maxBytes=10485760] - Rotate the active file beyond this size
+   * @param {number} [options.maxFiles=10] - Rotated files to keep
+   * @param {string} [options.prefix='spans'] - File name prefix
+   */
+  constructor({ directory, maxBytes = 10 * 1024 * 1024, maxFiles = 10, prefix = 'spans' }) {
+    if (!directory) throw new Error('FileSpanExporter requires a directory');
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.prefix = prefix;
+    this.activeFile = path.join(directory, `${prefix}.jsonl`);
+    this.currentSize = undefined;
+    this.isShutdown = false;
+    // Writes are serialized so lines never interleave and rotation is consistent
+    this.queue = Promise.resolve();
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    if (this.isShutdown) {
+      resultCallback({ code: ExportResultCode.FAILED, error: new Error('Exporter has been shut down') });
+      return;
+    }
+    let line;
+    try {
+      line = Buffer.from(JsonTraceSerializer.serializeRequest(spans)).toString('utf8') + '\n';
+    } catch (error) {
+      resultCallback({ code: ExportResultCode.FAILED, error });
+      return;
+    }
+    this.queue = this.queue
+      .then(() => this.write(line))
+      .then(
+        () => resultCallback({ code: ExportResultCode.SUCCESS }),
+        (error) => resultCallback({ code: ExportResultCode.FAILED, error }),
+      );
+  }
+
+  async write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.currentSize === undefined) {
+      this.currentSize = await fs.promises.stat(this.activeFile).then((st) => st.size, () => 0);
+    }
+    if (this.currentSize > 0 && this.currentSize + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+    await fs.promises.appendFile(this.activeFile, line, 'utf8');
+    this.currentSize += bytes;
+  }
+
+  async rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.rename(this.activeFile, path.join(this.directory, `${this.prefix}-${stamp}.jsonl`));
+    this.currentSize = 0;
+
+    const rotated = (await fs.promises.readdir(this.directory))
+      .filter((f) => f.startsWith(`${this.prefix}-`) && f.endsWith('.jsonl'))
+      .sort();
+    const excess = rotated.length - this.maxFiles;
+    for (let i = 0; i < excess; i++) {
+      await fs.promises.unlink(path.join(this.directory, rotated[i])).catch(() => {});
+    }
+  }
+
+  async forceFlush() {
+    await this.queue;
+  }
+
+  async shutdown() {
+    this.isShutdown = true;
+    await this.queue;
+  }
+}
+
+module.exports = { FileSpanExporter };
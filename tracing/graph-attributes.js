@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Execution graph attributes for node spans, enough to rebuild an execution
+ * as a DAG (loops, merges, branches) from its trace:
+ *
+ *   n8n.node.run_index              run of the node within the execution (0 for the first)
+ *   n8n.node.execution_index        position of the run in the execution (1, 2, ...)
+ *   n8n.node.source.nodes           per input: node that fed it ('' when unconnected)
+ *   n8n.node.source.outputs         per input: output index of that node
+ *   n8n.node.source.runs            per input: run index of that node
+ *   n8n.node.input.item_counts      items per input, n8n.node.input.item_count in total
+ *   n8n.node.output.item_counts     items per output, n8n.node.output.item_count in total
+ *   n8n.node.output.lineage         JSON: per output, the input items each output item
+ *                                   comes from ("input:item", '|'-separated, from pairedItem);
+ *                                   first 20 items per output
+ *   n8n.node.output.unpaired_count  output items without pairedItem
+ */
+
+// Output items described per output in n8n.node.output.lineage
+const MAX_LINEAGE_ITEMS = 20;
+
+function countItems(connections) {
+  return Array.isArray(connections) ? connections.map((items) => (Array.isArray(items) ? items.length : 0)) : [];
+}
+
+function sum(counts) {
+  return counts.reduce((total, n) => total + n, 0);
+}
+
+// pairedItem is a number, { item, input? } or an array of those
+function pairedRefs(pairedItem) {
+  if (pairedItem == null) return [];
+  const list = Array.isArray(pairedItem) ? pairedItem : [pairedItem];
+  return list
+    .map((ref) => (typeof ref === 'number' ? { item: ref } : ref))
+    .filter((ref) => ref && Number.isInteger(ref.item))
+    .map((ref) => `${ref.input ?? 0}:${ref.item}`);
+}
+
+/**
+ * Attributes known before the node runs.
+ * @param {object} executionData - IExecuteData ({ node, data, source })
+ * @param {number} runIndex
+ * @param {number} [executionIndex] - Position of the run in the execution
+ * @returns {object} attributes
+ */
+function extractInputGraphAttributes(executionData, runIndex, executionIndex) {
+  const attributes = {};
+  if (Number.isInteger(runIndex)) attributes['n8n.node.run_index'] = runIndex;
+  if (Number.isInteger(executionIndex)) attributes['n8n.node.execution_index'] = executionIndex;
+
+  const sources = executionData?.source?.main;
+  if (Array.isArray(sources) && sources.length) {
+    attributes['n8n.node.source.nodes'] = sources.map((source) => source?.previousNode || '');
+    attributes['n8n.node.source.outputs'] = sources.map((source) => (source ? source.previousNodeOutput ?? 0 : -1));
+    attributes['n8n.node.source.runs'] = sources.map((source) => (source ? source.previousNodeRun ?? 0 : -1));
+  }
+
+  const inputCounts = countItems(executionData?.data?.main);
+  if (inputCounts.length) {
+    attributes['n8n.node.input.item_counts'] = inputCounts;
+    attributes['n8n.node.input.item_count'] = sum(inputCounts);
+  }
+  return attributes;
+}
+
+/**
+ * Attributes of a node's output ({ data: INodeExecutionData[][] }).
+ * @param {object} result - runNode result
+ * @returns {object} attributes
+ */
+function extractOutputGraphAttributes(result) {
+  const outputs = Array.isArray(result?.data) ? result.data : undefined;
+  if (!outputs) return {};
+  const outputCounts = countItems(outputs);
+  const attributes = {
+    'n8n.node.output.item_counts': outputCounts,
+    'n8n.node.output.item_count': sum(outputCounts),
+  };
+
+  // Unpaired items show as '' (trigger nodes have no lineage at all)
+  const lineage = {};
+  let paired = 0;
+  let unpaired = 0;
+  outputs.forEach((items, outputIndex) => {
+    if (!Array.isArray(items) || !items.length) return;
+    const refs = [];
+    items.forEach((item, i) => {
+      const itemRefs = pairedRefs(item?.pairedItem);
+      if (itemRefs.length) paired += 1;
+      else unpaired += 1;
+      if (i < MAX_LINEAGE_ITEMS) refs.push(itemRefs.join('|'));
+    });
+    lineage[outputIndex] = refs;
+  });
+  if (paired) {
+    attributes['n8n.node.output.lineage'] = JSON.stringify(lineage);
+    if (unpaired) attributes['n8n.node.output.unpaired_count'] = unpaired;
+  }
+  return attributes;
+}
+
+module.exports = { extractInputGraphAttributes, extractOutputGraphAttributes };
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Minimal JSON path helpers used by the tracing configuration
+ * (redaction denylists, session/user id lookups, ...).
+ *
+ * Supported syntax (a small subset of JSONPath):
+ *   $              root
+ *   .key / ['key'] object key
+ *   [0]            array index
+ *   .* / [*]       any single key or index
+ *   ..key          `key` at any depth below the current position
+ */
+
+/**
+ * Parse a JSON path expression into segments.
+ * @param {string} expression - e.g. "$.headers.authorization" or "$..password"
+ * @returns {Array<{type: 'key'|'index'|'wildcard'|'descendant', value?: string|number}>}
+ */
+function parseJsonPath(expression) {
+  if (!expression || typeof expression !== 'string') return [];
+  let path = expression.trim();
+  if (path.startsWith('$')) path = path.slice(1);
+
+  const segments = [];
+  let i = 0;
+  while (i < path.length) {
+    const ch = path[i];
+    if (ch === '.') {
+      if (path[i + 1] === '.') {
+        segments.push({ type: 'descendant' });
+        i += 2;
+        continue;
+      }
+      i += 1;
+      continue;
+    }
+    if (ch === '[') {
+      const end = path.indexOf(']', i);
+      if (end === -1) throw new Error(`Unterminated "[" in JSON path: ${expression}`);
+      const inner = path.slice(i + 1, end).trim();
+      if (inner === '*') {
+        segments.push({ type: 'wildcard' });
+      } else if (/^\d+$/.test(inner)) {
+        segments.push({ type: 'index', value: Number(inner) });
+      } else {
+        segments.push({ type: 'key', value: inner.replace(/^['"]|['"]$/g, '') });
+      }
+      i = end + 1;
+      continue;
+    }
+    // Bare key: read until the next separator
+    let j = i;
+    while (j < path.length && path[j] !== '.' && path[j] !== '[') j++;
+    const key = path.slice(i, j);
+    segments.push(key === '*' ? { type: 'wildcard' } : { type: 'key', value: key });
+    i = j;
+  }
+  return segments;
+}
+
+/**
+ * Read the value at a JSON path.
+ * Wildcards and descendant segments resolve to the first match found.
+ * @param {any} obj
+ * @param {string|Array} path - expression or pre-parsed segments
+ * @returns {any} The value, or undefined if the path does not resolve
+ */
+function getByPath(obj, path) {
+  const segments = Array.isArray(path) ? path : parseJsonPath(path);
+  return resolveSegments(obj, segments, 0);
+}
+
+function resolveSegments(value, segments, idx) {
+  if (idx >= segments.length) return value;
+  if (value == null || typeof value !== 'object') return undefined;
+  const seg = segments[idx];
+  switch (seg.type) {
+    case 'key':
+      return resolveSegments(value[seg.value], segments, idx + 1);
+    case 'index':
+      return Array.isArray(value) ? resolveSegments(value[seg.value], segments, idx + 1) : undefined;
+    case 'wildcard': {
+      for (const child of Object.values(value)) {
+        const found = resolveSegments(child, segments, idx + 1);
+        if (found !== undefined) return found;
+      }
+      return undefined;
+    }
+    case 'descendant': {
+      const here = resolveSegments(value, segments, idx + 1);
+      if (here !== undefined) return here;
+      for (const child of Object.values(value)) {
+        const found = resolveSegments(child, segments, idx);
+        if (found !== undefined) return found;
+      }
+      return undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Check whether a concrete location (list of keys / indices from the root)
+ * matches a parsed JSON path. Key comparison is case-insensitive so that
+ * e.g. "$.headers.authorization" also matches "Authorization".
+ * @param {Array} segments - Parsed path from parseJsonPath
+ * @param {Array<string|number>} location - Concrete keys/indices from the root
+ * @returns {boolean}
+ */
+function matchesPath(segments, location) {
+  return matchFrom(segments, 0, location, 0);
+}
+
+function matchFrom(segments, si, location, li) {
+  if (si === segments.length) return li === location.length;
+  const seg = segments[si];
+  if (seg.type === 'descendant') {
+    for (let skip = li; skip < location.length; skip++) {
+      if (matchFrom(segments, si + 1, location, skip)) return true;
+    }
+    return false;
+  }
+  if (li >= location.length) return false;
+  const part = location[li];
+  switch (seg.type) {
+    case 'wildcard':
+      break;
+    case 'index':
+      if (part !== seg.value) return false;
+      break;
+    case 'key':
+      if (String(part).toLowerCase() !== String(seg.value).toLowerCase()) return false;
+      break;
+    default:
+      return false;
+  }
+  return matchFrom(segments, si + 1, location, li + 1);
+}
+
+module.exports = { parseJsonPath, getByPath, matchesPath };
@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * OpenInference LLM attributes for n8n LLM nodes.
+ *
+ * Reads the model, provider and invocation parameters from the node's
+ * configuration, using a per-provider extractor keyed by the bare node name
+ * (`@n8n/n8n-nodes-langchain.lmChatOpenAi` -> `lmchatopenai`):
+ *
+ *   llm.provider               hosting provider (openai, azure, anthropic, google, ...)
+ *   llm.system                 model family / API (openai, anthropic, vertexai, ...)
+ *   llm.model_name             configured model; replaced by the model reported in the response
+ *   llm.invocation_parameters  JSON of the model and its options (temperature, max tokens, ...)
+ *   llm.token_count.*          token usage reported in the response, including
+ *                              cached prompt and reasoning token details
+ */
+
+const { normalizeNodeType } = require('./openinference-mapper');
+
+// Parameter names holding the model, in lookup order
+const MODEL_PARAMETERS = ['model', 'modelName', 'modelId', 'deploymentName'];
+
+// Options holding credentials / transport settings rather than invocation parameters
+const EXCLUDED_OPTIONS = new Set(['baseURL', 'baseUrl', 'timeout', 'maxRetries', 'proxy']);
+
+/**
+ * Provider extractors. `provider` / `system` follow the OpenInference values where
+ * one exists; `modelPrefix` is stripped from the configured model.
+ */
+const PROVIDERS = {
+  openai: { provider: 'openai', system: 'openai' },
+  azure: { provider: 'azure', system: 'openai' },
+  anthropic: { provider: 'anthropic', system: 'anthropic' },
+  google: { provider: 'google', system: 'vertexai', modelPrefix: 'models/' },
+  mistral: { provider: 'mistralai', system: 'mistralai' },
+  groq: { provider: 'groq', system: 'groq' },
+  openrouter: { provider: 'openrouter', system: 'openai' },
+  ollama: { provider: 'ollama', system: 'ollama' },
+  bedrock: { provider: 'aws', system: 'bedrock' },
+  cohere: { provider: 'cohere', system: 'cohere' },
+  deepseek: { provider: 'deepseek', system: 'deepseek' },
+  xai: { provider: 'xai', system: 'xai' },
+  huggingface: { provider: 'huggingface', system: 'huggingface' },
+  vercel: { provider: 'vercel', system: 'openai' },
+};
+
+// Bare node name -> provider key
+const NODE_PROVIDERS = {
+  lmchatopenai: 'openai',
+  lmopenai: 'openai',
+  openai: 'openai',
+  openaiassistant: 'openai',
+  lmchatazureopenai: 'azure',
+  lmchatanthropic: 'anthropic',
+  anthropic: 'anthropic',
+  lmchatgooglegemini: 'google',
+  lmchatgooglevertex: 'google',
+  googlegemini: 'google',
+  lmchatmistralcloud: 'mistral',
+  lmchatgroq: 'groq',
+  groq: 'groq',
+  lmchatopenrouter: 'openrouter',
+  lmchatollama: 'ollama',
+  lmollama: 'ollama',
+  lmchatawsbedrock: 'bedrock',
+  lmcohere: 'cohere',
+  lmchatcohere: 'cohere',
+  lmchatdeepseek: 'deepseek',
+  lmchatxaigrok: 'xai',
+  lmopenhuggingfaceinference: 'huggingface',
+  lmchatvercelaigateway: 'vercel',
+};
+
+// Fallback for nodes not listed above (e.g. community nodes)
+const NAME_HEURISTICS = [
+  { key: 'azure', pattern: /azure/ },
+  { key: 'openrouter', pattern: /openrouter/ },
+  { key: 'openai', pattern: /openai/ },
+  { key: 'anthropic', pattern: /(anthropic|claude)/ },
+  { key: 'google', pattern: /(gemini|vertex)/ },
+  { key: 'mistral', pattern: /mistral/ },
+  { key: 'groq', pattern: /groq/ },
+  { key: 'ollama', pattern: /ollama/ },
+  { key: 'bedrock', pattern: /bedrock/ },
+  { key: 'cohere', pattern: /cohere/ },
+  { key: 'deepseek', pattern: /deepseek/ },
+  { key: 'xai', pattern: /(xai|grok)/ },
+];
+
+/**
+ * Resolve the provider extractor for a node type.
+ * @param {string} nodeType
+ * @returns {object|undefined} { provider, system, modelPrefix? }
+ */
+function getLlmProvider(nodeType) {
+  if (!nodeType || typeof nodeType !== 'string') return undefined;
+  const { name } = normalizeNodeType(nodeType);
+  const key = NODE_PROVIDERS[name] || NAME_HEURISTICS.find((h) => h.pattern.test(name))?.key;
+  return key ? PROVIDERS[key] : undefined;
+}
+
+// Model parameters are plain strings or resource locators ({ __rl, value, mode, cachedResultName })
+function readModelParameter(value) {
+  if (value == null) return undefined;
+  if (typeof value === 'object') return readModelParameter(value.value ?? value.cachedResultName);
+  const str = String(value).trim();
+  // Unresolved expressions are not a model name
+  if (!str || str.startsWith('=')) return undefined;
+  return str;
+}
+
+/**
+ * Model configured in node parameters (model / modelName / modelId / deploymentName).
+ * @param {object} parameters - Node parameters
+ * @param {object} [provider] - From getLlmProvider(), strips its model prefix
+ * @returns {string|undefined}
+ */
+function getConfiguredModel(parameters, provider) {
+  for (const key of MODEL_PARAMETERS) {
+    let model = readModelParameter(parameters?.[key]);
+    if (!model) continue;
+    if (provider?.modelPrefix && model.startsWith(provider.modelPrefix)) {
+      model = model.slice(provider.modelPrefix.length);
+    }
+    return model;
+  }
+  return undefined;
+}
+
+function getInvocationParameters(parameters, model) {
+  const invocation = {};
+  if (model) invocation.model = model;
+  const options = parameters?.options;
+  if (options && typeof options === 'object') {
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined || EXCLUDED_OPTIONS.has(key)) continue;
+      if (typeof value === 'string' && value.startsWith('=')) continue;
+      invocation[key] = value;
+    }
+  }
+  return invocation;
+}
+
+/**
+ * Build the configured LLM attributes for a node (set when the node span starts).
+ * @param {object} node - The n8n node (type, parameters)
+ * @returns {object} OpenInference attributes (empty when nothing is known)
+ */
+function extractLlmInvocationAttributes(node) {
+  const attributes = {};
+  if (!node) return attributes;
+  const provider = getLlmProvider(node.type);
+  const model = getConfiguredModel(node.parameters, provider);
+  if (provider) {
+    attributes['llm.provider'] = provider.provider;
+    attributes['llm.system'] = provider.system;
+  }
+  if (model) attributes['llm.model_name'] = model;
+  const invocation = getInvocationParameters(node.parameters, model);
+  if (Object.keys(invocation).length) {
+    try {
+      attributes['llm.invocation_parameters'] = JSON.stringify(invocation);
+    } catch (e) {
+      // ignore unserializable options
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Model reported by the provider in an LLM response, if any.
+ * Checks llmOutput first, then the generation's message / generationInfo
+ * (LangChain class instances or their serialized `kwargs` form).
+ * @param {object} output - { llmOutput, generations }
+ * @returns {string|undefined}
+ */
+function extractResponseModel({ llmOutput, generations } = {}) {
+  const fromOutput = llmOutput?.model_name || llmOutput?.modelName || llmOutput?.model;
+  if (typeof fromOutput === 'string' && fromOutput) return fromOutput;
+
+  const gen = firstGeneration(generations);
+  if (!gen) return undefined;
+  const msg = gen.message;
+  const metadata = msg?.response_metadata || msg?.kwargs?.response_metadata || msg?.lc_kwargs?.response_metadata;
+  const candidates = [
+    metadata?.model_name,
+    metadata?.model,
+    metadata?.modelId,
+    gen.generationInfo?.model_name,
+    gen.generationInfo?.model,
+  ];
+  return candidates.find((c) => typeof c === 'string' && c);
+}
+
+function firstGeneration(generations) {
+  return Array.isArray(generations) ? (Array.isArray(generations[0]) ? generations[0][0] : generations[0]) : undefined;
+}
+
+function count(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * Token counts reported in an LLM response: llmOutput.tokenUsage
+ * (estimatedTokenUsage when streaming), completed by the message's
+ * usage_metadata, which also carries the cache and reasoning details.
+ * @param {object} output - { llmOutput, generations }
+ * @returns {object} llm.token_count.* attributes
+ */
+function extractTokenCounts({ llmOutput, generations } = {}) {
+  const attributes = {};
+  const set = (key, value) => {
+    const n = count(value);
+    if (n !== undefined && attributes[key] === undefined) attributes[key] = n;
+  };
+
+  const usage = llmOutput?.estimatedTokenUsage || llmOutput?.tokenUsage;
+  set('llm.token_count.prompt', usage?.promptTokens);
+  set('llm.token_count.completion', usage?.completionTokens);
+  set('llm.token_count.total', usage?.totalTokens);
+
+  const msg = firstGeneration(generations)?.message;
+  const metadata = msg?.usage_metadata || msg?.kwargs?.usage_metadata || msg?.lc_kwargs?.usage_metadata;
+  if (metadata) {
+    set('llm.token_count.prompt', metadata.input_tokens);
+    set('llm.token_count.completion', metadata.output_tokens);
+    set('llm.token_count.total', metadata.total_tokens);
+    set('llm.token_count.prompt_details.cache_read', metadata.input_token_details?.cache_read);
+    set('llm.token_count.prompt_details.cache_write', metadata.input_token_details?.cache_creation);
+    set('llm.token_count.completion_details.reasoning', metadata.output_token_details?.reasoning);
+  }
+  return attributes;
+}
+
+module.exports = {
+  getLlmProvider,
+  getConfiguredModel,
+  extractLlmInvocationAttributes,
+  extractResponseModel,
+  extractTokenCounts,
+};
@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * LLM cost estimation.
+ *
+ * Prices are USD per 1M tokens, keyed by "provider/model" or by bare model
+ * name (matches any provider):
+ *
+ *   {
+ *     "openai/gpt-4o": { "prompt": 2.5, "completion": 10, "cacheRead": 1.25 },
+ *     "claude-sonnet-4": { "prompt": 3, "completion": 15, "cacheRead": 0.3, "cacheWrite": 3.75 },
+ *     "my-local-model": { "prompt": 0, "completion": 0 }
+ *   }
+ *
+ *   prompt / completion  regular input / output tokens
+ *   cacheRead            cached input tokens (default: prompt price)
+ *   cacheWrite           input tokens written to the cache (default: prompt price)
+ *   reasoning            reasoning output tokens (default: completion price)
+ *
+ * Model names are matched exactly first, then by the longest key that is a
+ * prefix of the model, so dated versions (gpt-4o-2024-08-06,
+ * claude-3-5-sonnet-20241022) use the base model's price.
+ *
+ * CostSpanProcessor prices every finished LLM span (n8n node spans and
+ * LangChain sub-spans), writes llm.cost.prompt / completion / total onto it,
+ * and adds tokens and cost to the UsageTotals of the execution it belongs to.
+ */
+
+const fs = require('fs');
+const { trace } = require('@opentelemetry/api');
+
+// Built-in list prices (USD per 1M tokens). Override or extend with a prices file.
+const DEFAULT_PRICES = {
+  'openai/gpt-4o': { prompt: 2.5, completion: 10, cacheRead: 1.25 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6, cacheRead: 0.075 },
+  'openai/gpt-4.1': { prompt: 2, completion: 8, cacheRead: 0.5 },
+  'openai/gpt-4.1-mini': { prompt: 0.4, completion: 1.6, cacheRead: 0.1 },
+  'openai/gpt-4.1-nano': { prompt: 0.1, completion: 0.4, cacheRead: 0.025 },
+  'openai/gpt-4-turbo': { prompt: 10, completion: 30 },
+  'openai/gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'openai/o1': { prompt: 15, completion: 60, cacheRead: 7.5 },
+  'openai/o1-mini': { prompt: 1.1, completion: 4.4, cacheRead: 0.55 },
+  'openai/o3': { prompt: 2, completion: 8, cacheRead: 0.5 },
+  'openai/o3-mini': { prompt: 1.1, completion: 4.4, cacheRead: 0.55 },
+  'openai/o4-mini': { prompt: 1.1, completion: 4.4, cacheRead: 0.275 },
+  'openai/text-embedding-3-small': { prompt: 0.02, completion: 0 },
+  'openai/text-embedding-3-large': { prompt: 0.13, completion: 0 },
+  'anthropic/claude-opus-4': { prompt: 15, completion: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'anthropic/claude-sonnet-4': { prompt: 3, completion: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'anthropic/claude-3-7-sonnet': { prompt: 3, completion: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'anthropic/claude-3-5-sonnet': { prompt: 3, completion: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'anthropic/claude-3-5-haiku': { prompt: 0.8, completion: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'anthropic/claude-3-opus': { prompt: 15, completion: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'anthropic/claude-3-haiku': { prompt: 0.25, completion: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+  'google/gemini-2.5-pro': { prompt: 1.25, completion: 10, cacheRead: 0.31 },
+  'google/gemini-2.5-flash': { prompt: 0.3, completion: 2.5, cacheRead: 0.075 },
+  'google/gemini-2.0-flash': { prompt: 0.1, completion: 0.4, cacheRead: 0.025 },
+  'google/gemini-1.5-pro': { prompt: 1.25, completion: 5 },
+  'google/gemini-1.5-flash': { prompt: 0.075, completion: 0.3 },
+  'mistralai/mistral-large': { prompt: 2, completion: 6 },
+  'mistralai/mistral-medium': { prompt: 0.4, completion: 2 },
+  'mistralai/mistral-small': { prompt: 0.1, completion: 0.3 },
+  'groq/llama-3.3-70b-versatile': { prompt: 0.59, completion: 0.79 },
+  'groq/llama-3.1-8b-instant': { prompt: 0.05, completion: 0.08 },
+  'deepseek/deepseek-chat': { prompt: 0.27, completion: 1.1, cacheRead: 0.07 },
+  'deepseek/deepseek-reasoner': { prompt: 0.55, completion: 2.19, cacheRead: 0.14 },
+};
+
+/**
+ * Load a prices object from a JSON or YAML file.
+ * @param {string} [file]
+ * @returns {object} Prices keyed by provider/model (empty when no file is set)
+ */
+function loadPriceFile(file) {
+  if (!file || !file.trim()) return {};
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    const prices = /\.ya?ml$/i.test(file) ? require('yaml').parse(text) : JSON.parse(text);
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) throw new Error('expected an object keyed by provider/model');
+    return prices;
+  } catch (e) {
+    throw new Error(`Invalid TRACING_COST_PRICES_FILE ${file}: ${e.message}`);
+  }
+}
+
+class PriceTable {
+  /**
+   * @param {object} [overrides] - Prices merged over the built-in defaults
+   */
+  constructor(overrides = {}) {
+    this.prices = new Map();
+    for (const [key, price] of Object.entries({ ...DEFAULT_PRICES, ...overrides })) {
+      if (price && typeof price === 'object') this.prices.set(key.toLowerCase(), price);
+    }
+  }
+
+  /**
+   * Find the price of a model.
+   * @param {string} [provider] - llm.provider
+   * @param {string} model - llm.model_name
+   * @returns {object|undefined}
+   */
+  lookup(provider, model) {
+    if (!model) return undefined;
+    const name = String(model).toLowerCase();
+    const providerName = provider ? String(provider).toLowerCase() : undefined;
+
+    // Score every key: exact model beats prefix, longer prefix beats shorter,
+    // the span's own provider beats a bare key beats another provider (azure,
+    // openrouter and gateways serve other providers' models)
+    let best;
+    let bestScore = 0;
+    for (const [key, price] of this.prices) {
+      const slash = key.indexOf('/');
+      const keyProvider = slash === -1 ? undefined : key.slice(0, slash);
+      const keyModel = slash === -1 ? key : key.slice(slash + 1);
+      // "openai/gpt-4o" style model names (OpenRouter) carry their own provider
+      let target = name;
+      let providerRank = keyProvider === undefined ? 1 : keyProvider === providerName ? 2 : 0;
+      if (keyProvider && name.startsWith(`${keyProvider}/`)) {
+        target = name.slice(keyProvider.length + 1);
+        providerRank = 2;
+      }
+      if (!target.startsWith(keyModel)) continue;
+      const score = (target === keyModel ? 1e6 : 0) + keyModel.length * 3 + providerRank + 1;
+      if (score > bestScore) {
+        best = price;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Token usage from OpenInference span attributes.
+ * @param {object} attributes
+ * @returns {object|undefined} { prompt, completion, total, cacheRead, cacheWrite, reasoning }
+ */
+function getTokenUsage(attributes) {
+  const num = (key) => {
+    const n = Number(attributes?.[key]);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  };
+  const usage = {
+    prompt: num('llm.token_count.prompt'),
+    completion: num('llm.token_count.completion'),
+    total: num('llm.token_count.total'),
+    cacheRead: num('llm.token_count.prompt_details.cache_read'),
+    cacheWrite: num('llm.token_count.prompt_details.cache_write'),
+    reasoning: num('llm.token_count.completion_details.reasoning'),
+  };
+  if (!usage.total) usage.total = usage.prompt + usage.completion;
+  return usage.total ? usage : undefined;
+}
+
+/**
+ * Cost of a token usage at a price. Cached / cache-write tokens are part of
+ * the prompt count, reasoning tokens part of the completion count.
+ * @param {object} usage - From getTokenUsage()
+ * @param {object} price
+ * @returns {{ prompt: number, completion: number, total: number }} USD
+ */
+function computeCost(usage, price) {
+  const perToken = (value, fallback) => (Number(value ?? fallback) || 0) / 1e6;
+  const uncachedPrompt = Math.max(0, usage.prompt - usage.cacheRead - usage.cacheWrite);
+  const prompt =
+    uncachedPrompt * perToken(price.prompt) +
+    usage.cacheRead * perToken(price.cacheRead, price.prompt) +
+    usage.cacheWrite * perToken(price.cacheWrite, price.prompt);
+  const regularCompletion = Math.max(0, usage.completion - usage.reasoning);
+  const completion =
+    regularCompletion * perToken(price.completion) +
+    usage.reasoning * perToken(price.reasoning, price.completion);
+  return { prompt, completion, total: prompt + completion };
+}
+
+/**
+ * Tokens and cost accumulated for one workflow execution.
+ */
+class UsageTotals {
+  constructor() {
+    this.promptTokens = 0;
+    this.completionTokens = 0;
+    this.totalTokens = 0;
+    this.promptCost = 0;
+    this.completionCost = 0;
+    this.totalCost = 0;
+    this.llmCalls = 0;
+    this.unpricedCalls = 0;
+  }
+
+  add(usage, cost) {
+    this.llmCalls += 1;
+    this.promptTokens += usage.prompt;
+    this.completionTokens += usage.completion;
+    this.totalTokens += usage.total;
+    if (!cost) {
+      this.unpricedCalls += 1;
+      return;
+    }
+    this.promptCost += cost.prompt;
+    this.completionCost += cost.completion;
+    this.totalCost += cost.total;
+  }
+
+  /** Add another execution's totals (sub-workflows roll up into their parent) */
+  merge(other) {
+    for (const key of Object.keys(this)) this[key] += other[key];
+  }
+
+  /**
+   * Workflow span attributes. n8n-prefixed so backends summing llm.* attributes
+   * across a trace don't count the LLM spans twice.
+   */
+  toAttributes() {
+    if (!this.llmCalls) return {};
+    return {
+      'n8n.llm.calls': this.llmCalls,
+      'n8n.llm.token_count.prompt': this.promptTokens,
+      'n8n.llm.token_count.completion': this.completionTokens,
+      'n8n.llm.token_count.total': this.totalTokens,
+      'n8n.llm.cost.prompt': roundCost(this.promptCost),
+      'n8n.llm.cost.completion': roundCost(this.completionCost),
+      'n8n.llm.cost.total': roundCost(this.totalCost),
+      ...(this.unpricedCalls ? { 'n8n.llm.unpriced_calls': this.unpricedCalls } : {}),
+    };
+  }
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function getModelName(attributes) {
+  return attributes['llm.model_name'] || attributes['n8n.node.parameters.model.value'] || attributes['n8n.node.parameters.model'];
+}
+
+/**
+ * Span processor pricing finished LLM spans and rolling them up per execution.
+ *
+ * An LLM span nested in another one (the LangChain call inside an n8n LLM
+ * node span) reports the same tokens: the outer span is counted, and its
+ * nested spans only when the outer span has no token counts of its own.
+ */
+class CostSpanProcessor {
+  /**
+   * @param {object} options
+   * @param {PriceTable} options.priceTable
+   * @param {(parentContext: object) => UsageTotals|undefined} options.getTotals - Totals of the execution a span starts in
+   */
+  constructor({ priceTable, getTotals }) {
+    this.priceTable = priceTable;
+    this.getTotals = getTotals;
+    // span -> { totals, outer: enclosing LLM span, nested: [{ usage, cost }] }
+    this.entries = new WeakMap();
+  }
+
+  onStart(span, parentContext) {
+    const totals = this.getTotals(parentContext);
+    if (!totals) return;
+    const parent = trace.getSpan(parentContext);
+    const parentEntry = parent && this.entries.get(parent);
+    const outer = parent?.attributes?.['openinference.span.kind'] === 'LLM' ? parent : parentEntry?.outer;
+    this.entries.set(span, { totals, outer, nested: [] });
+  }
+
+  onEnd(span) {
+    const entry = this.entries.get(span);
+    this.entries.delete(span);
+    const attributes = span.attributes;
+    if (attributes?.['openinference.span.kind'] !== 'LLM') return;
+
+    const usage = getTokenUsage(attributes);
+    let cost;
+    if (usage) {
+      const price = this.priceTable.lookup(attributes['llm.provider'], getModelName(attributes));
+      cost = price ? computeCost(usage, price) : undefined;
+      if (cost) {
+        // Spans are already ended (read-only API); annotate the exported attributes directly
+        attributes['llm.cost.prompt'] = roundCost(cost.prompt);
+        attributes['llm.cost.completion'] = roundCost(cost.completion);
+        attributes['llm.cost.total'] = roundCost(cost.total);
+      }
+    }
+    if (!entry) return;
+
+    const outerEntry = entry.outer && this.entries.get(entry.outer);
+    if (outerEntry) {
+      if (usage) outerEntry.nested.push({ usage, cost });
+      return;
+    }
+    if (usage) entry.totals.add(usage, cost);
+    else for (const call of entry.nested) entry.totals.add(call.usage, call.cost);
+  }
+
+  async forceFlush() {}
+
+  async shutdown() {}
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  PriceTable,
+  loadPriceFile,
+  getTokenUsage,
+  computeCost,
+  UsageTotals,
+  CostSpanProcessor,
+};
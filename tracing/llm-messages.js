@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * Message lists for LLM and AGENT node spans (OpenInference llm.input_messages /
+ * llm.output_messages).
+ *
+ * Input messages are assembled in conversation order:
+ *   1. system prompt / prompt templates from the node parameters
+ *   2. prior turns loaded by the connected memory nodes (ai_memory)
+ *   3. the current user message
+ *   4. tool calls and their results (agent intermediate steps, or the
+ *      EngineResponse passed back to V3 agents), linked by tool_call_id
+ *
+ * Messages are normalized from LangChain instances, their serialized
+ * ({ lc, id, kwargs }) and stored ({ type, data }) forms, and plain
+ * { role, content } objects into:
+ *   { role, content, toolCallId?, toolCalls?: [{ id, name, arguments }] }
+ */
+
+const { getConnectedSubNodes, getSubNodeRuns } = require('./execution-data');
+
+const ROLES = {
+  human: 'user',
+  humanmessage: 'user',
+  user: 'user',
+  ai: 'assistant',
+  aimessage: 'assistant',
+  aimessagechunk: 'assistant',
+  assistant: 'assistant',
+  system: 'system',
+  systemmessage: 'system',
+  tool: 'tool',
+  toolmessage: 'tool',
+  function: 'tool',
+  functionmessage: 'tool',
+};
+
+// chainLlm prompt templates
+const TEMPLATE_ROLES = {
+  SystemMessagePromptTemplate: 'system',
+  HumanMessagePromptTemplate: 'user',
+  AIMessagePromptTemplate: 'assistant',
+};
+
+// Input fields that carry the user's message, in lookup order
+const USER_INPUT_FIELDS = ['chatInput', 'text', 'prompt', 'query'];
+
+function stringify(value) {
+  if (value == null) return '';
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+// Message content is a string or a list of parts ([{ type: 'text', text }, ...])
+function contentToText(content) {
+  if (Array.isArray(content)) {
+    const texts = content.map((part) => (typeof part === 'string' ? part : part?.text)).filter((t) => typeof t === 'string');
+    return texts.length === content.length ? texts.join('\n') : stringify(content);
+  }
+  return stringify(content);
+}
+
+function normalizeToolCall(toolCall) {
+  if (!toolCall || typeof toolCall !== 'object') return undefined;
+  // LangChain ({ id, name, args }) or OpenAI ({ id, function: { name, arguments } })
+  return {
+    id: toolCall.id,
+    name: toolCall.name || toolCall.function?.name || 'unknown',
+    arguments: toolCall.args ?? toolCall.function?.arguments ?? {},
+  };
+}
+
+/**
+ * Normalize a chat message.
+ * @param {any} message
+ * @returns {object|undefined} { role, content, toolCallId?, toolCalls? }
+ */
+function normalizeMessage(message) {
+  if (message == null) return undefined;
+  if (typeof message === 'string') return { role: 'user', content: message };
+  if (typeof message !== 'object') return undefined;
+
+  let type;
+  let fields;
+  if (typeof message._getType === 'function') {
+    type = message._getType();
+    fields = message;
+  } else if (message.lc && Array.isArray(message.id)) {
+    type = message.id[message.id.length - 1];
+    fields = message.kwargs || {};
+  } else if (message.type && message.data && typeof message.data === 'object') {
+    type = message.type;
+    fields = message.data;
+  } else {
+    type = message.role || message.type;
+    fields = message;
+  }
+
+  const role = ROLES[String(type || '').toLowerCase()] || fields.role || String(type || 'user');
+  const normalized = { role, content: contentToText(fields.content) };
+  const toolCalls = fields.tool_calls?.length ? fields.tool_calls : fields.additional_kwargs?.tool_calls;
+  if (Array.isArray(toolCalls) && toolCalls.length) {
+    normalized.toolCalls = toolCalls.map(normalizeToolCall).filter(Boolean);
+  }
+  if (fields.tool_call_id) normalized.toolCallId = fields.tool_call_id;
+  return normalized;
+}
+
+/**
+ * System prompt and prompt templates configured on the node.
+ * @param {object} node
+ * @param {(value: any) => any} resolve - Resolves n8n expressions
+ * @returns {object[]} messages
+ */
+function getPromptMessages(node, resolve) {
+  const parameters = node?.parameters || {};
+  const messages = [];
+
+  // AI Agent / Gemini: options.systemMessage, Anthropic: options.system
+  const system = parameters.options?.systemMessage ?? parameters.options?.system;
+  if (system) messages.push({ role: 'system', content: stringify(resolve(system)) });
+
+  // Basic LLM Chain: messages.messageValues [{ type: '<Role>MessagePromptTemplate', message }]
+  for (const entry of parameters.messages?.messageValues || []) {
+    const content = entry?.message ?? entry?.content;
+    if (content == null) continue;
+    messages.push({ role: TEMPLATE_ROLES[entry.type] || 'system', content: stringify(resolve(content)) });
+  }
+
+  // OpenAI / Anthropic / Gemini app nodes: messages.values [{ role, content }]
+  for (const entry of parameters.messages?.values || []) {
+    if (entry?.content == null) continue;
+    messages.push({ role: ROLES[String(entry.role || 'user').toLowerCase()] || entry.role, content: stringify(resolve(entry.content)) });
+  }
+  return messages;
+}
+
+/**
+ * The current user message: the node's own prompt ("Define below") or the
+ * chat input of the incoming item.
+ * @param {object} node
+ * @param {object} inputData - First input item's json
+ * @param {(value: any) => any} resolve
+ * @returns {object|undefined}
+ */
+function getUserMessage(node, inputData, resolve) {
+  const parameters = node?.parameters || {};
+  if (parameters.promptType === 'define' && parameters.text != null) {
+    return { role: 'user', content: stringify(resolve(parameters.text)) };
+  }
+  for (const field of USER_INPUT_FIELDS) {
+    const value = inputData?.[field];
+    if (value != null && value !== '') return { role: 'user', content: stringify(value) };
+  }
+  return undefined;
+}
+
+/**
+ * Prior turns loaded by the memory nodes attached to a node, from the latest
+ * memory run recorded while the node executed.
+ * @param {object} workflow
+ * @param {object} runExecutionData
+ * @param {string} nodeName
+ * @returns {object[]} messages
+ */
+function getMemoryHistory(workflow, runExecutionData, nodeName) {
+  for (const memoryNode of getConnectedSubNodes(workflow, nodeName, 'ai_memory')) {
+    const runs = getSubNodeRuns(runExecutionData, memoryNode, nodeName);
+    for (let i = runs.length - 1; i >= 0; i--) {
+      const items = runs[i]?.data?.ai_memory?.[0] || [];
+      for (let j = items.length - 1; j >= 0; j--) {
+        const json = items[j]?.json;
+        let history;
+        if (json?.action === 'loadMemoryVariables') history = json.chatHistory ?? json.response?.chat_history;
+        else if (json?.action === 'getMessages') history = json.response ?? json.chatHistory;
+        if (Array.isArray(history)) return history.map(normalizeMessage).filter(Boolean);
+      }
+    }
+  }
+  return [];
+}
+
+function toolOutputText(items) {
+  const values = (items || []).map((item) => item?.json ?? item);
+  if (values.length === 1) {
+    const only = values[0];
+    // Tool nodes return { response } for plain-text results
+    return typeof only?.response === 'string' ? only.response : stringify(only);
+  }
+  return stringify(values);
+}
+
+/**
+ * Tool calls and results: an assistant message carrying the tool calls,
+ * followed by one tool message per result.
+ * @param {object} sources
+ * @param {object} [sources.engineResponse] - EngineResponse passed to runNode (V3 agents)
+ * @param {object[]} [sources.outputItems] - Output item json, read for `intermediateSteps`
+ * @returns {object[]} messages
+ */
+function getToolMessages({ engineResponse, outputItems } = {}) {
+  const messages = [];
+
+  const responses = Array.isArray(engineResponse?.actionResponses) ? engineResponse.actionResponses : [];
+  if (responses.length) {
+    messages.push({
+      role: 'assistant',
+      content: '',
+      toolCalls: responses.map(({ action }) => ({ id: action?.id, name: action?.nodeName || 'unknown', arguments: action?.input ?? {} })),
+    });
+    for (const { action, data } of responses) {
+      const connections = data?.data || {};
+      const items = connections.ai_tool?.[0] || connections.main?.[0];
+      messages.push({ role: 'tool', content: toolOutputText(items), toolCallId: action?.id });
+    }
+  }
+
+  for (const item of outputItems || []) {
+    const steps = item?.intermediateSteps;
+    if (!Array.isArray(steps) || !steps.length) continue;
+    for (const step of steps) {
+      const action = step?.action || {};
+      const toolCallId = action.toolCallId;
+      messages.push({
+        role: 'assistant',
+        content: typeof action.log === 'string' && !toolCallId ? action.log : '',
+        toolCalls: [{ id: toolCallId, name: action.tool || 'unknown', arguments: action.toolInput ?? {} }],
+      });
+      messages.push({ role: 'tool', content: stringify(step.observation), toolCallId });
+    }
+    break;
+  }
+  return messages;
+}
+
+/**
+ * Build the complete input message list of an LLM / AGENT node.
+ * @param {object} options
+ * @param {object} options.node
+ * @param {object} [options.inputData] - First input item's json
+ * @param {object} [options.workflow]
+ * @param {object} [options.runExecutionData]
+ * @param {object} [options.engineResponse]
+ * @param {object[]} [options.outputItems]
+ * @param {(value: any) => any} [options.resolve] - Resolves n8n expressions in parameters
+ * @returns {object[]} messages
+ */
+function buildInputMessages({ node, inputData, workflow, runExecutionData, engineResponse, outputItems, resolve = (v) => v }) {
+  const messages = [
+    ...getPromptMessages(node, resolve),
+    ...getMemoryHistory(workflow, runExecutionData, node?.name),
+  ];
+  const user = getUserMessage(node, inputData, resolve);
+  if (user) messages.push(user);
+  messages.push(...getToolMessages({ engineResponse, outputItems }));
+  return messages;
+}
+
+/**
+ * Output messages from an LLM / agent output item: every generation of a
+ * LangChain result ({ generations: [[...]] }), or an agent's `output`.
+ * @param {object} item - Output item json
+ * @returns {object[]} messages
+ */
+function buildOutputMessages(item) {
+  if (!item || typeof item !== 'object') return [];
+  if (Array.isArray(item.generations)) {
+    return item.generations.flat().filter(Boolean).map((gen) => {
+      const message = normalizeMessage(gen.message) || { role: 'assistant', content: '' };
+      message.role = 'assistant';
+      if (!message.content && gen.text) message.content = stringify(gen.text);
+      return message;
+    });
+  }
+  if (item.output != null) return [{ role: 'assistant', content: stringify(item.output) }];
+  return [];
+}
+
+/**
+ * Bound a message list: the leading system messages plus the most recent
+ * messages, `maxMessages` in all. Long agent conversations would otherwise
+ * exceed the span attribute count limit, and the SDK drops attributes set
+ * after that without notice.
+ * @param {object[]} messages
+ * @param {number} maxMessages
+ * @returns {{ messages: object[], dropped: number }}
+ */
+function limitMessages(messages, maxMessages) {
+  if (!(maxMessages >= 0) || messages.length <= maxMessages) return { messages, dropped: 0 };
+  let systemCount = 0;
+  while (systemCount < messages.length && messages[systemCount].role === 'system') systemCount++;
+  const head = messages.slice(0, Math.min(systemCount, maxMessages));
+  const recent = maxMessages > head.length ? messages.slice(messages.length - (maxMessages - head.length)) : [];
+  return { messages: [...head, ...recent], dropped: messages.length - head.length - recent.length };
+}
+
+/**
+ * Flatten messages into OpenInference attributes.
+ * @param {string} prefix - 'llm.input_messages' or 'llm.output_messages'
+ * @param {object[]} messages
+ * @param {(text: string) => string} [mapText] - Applied to contents and tool arguments (redaction, truncation)
+ * @returns {object} attributes
+ */
+function messagesToAttributes(prefix, messages, mapText = (t) => t) {
+  const attributes = {};
+  messages.forEach((message, i) => {
+    const base = `${prefix}.${i}.message`;
+    attributes[`${base}.role`] = message.role;
+    if (message.content) attributes[`${base}.content`] = mapText(message.content);
+    if (message.toolCallId) attributes[`${base}.tool_call_id`] = String(message.toolCallId);
+    (message.toolCalls || []).forEach((toolCall, j) => {
+      const callBase = `${base}.tool_calls.${j}.tool_call`;
+      if (toolCall.id) attributes[`${callBase}.id`] = String(toolCall.id);
+      attributes[`${callBase}.function.name`] = toolCall.name;
+      attributes[`${callBase}.function.arguments`] = mapText(stringify(toolCall.arguments));
+    });
+  });
+  return attributes;
+}
+
+module.exports = {
+  normalizeMessage,
+  buildInputMessages,
+  buildOutputMessages,
+  limitMessages,
+  messagesToAttributes,
+};
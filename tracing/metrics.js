@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * OpenTelemetry metrics for n8n executions.
+ *
+ * Instruments (all created from the global MeterProvider, which NodeSDK
+ * configures from OTEL_METRICS_EXPORTER = otlp | prometheus | console | none):
+ *
+ *   n8n.workflow.duration     histogram (ms)  n8n.workflow.id, n8n.execution.status
+ *   n8n.workflow.executions   counter         n8n.workflow.id, n8n.execution.status
+ *   n8n.workflow.errors       counter         n8n.workflow.id
+ *   n8n.workflow.llm.cost     counter (USD)   n8n.workflow.id (estimated LLM cost, sub-workflows included)
+ *   n8n.node.duration         histogram (ms)  n8n.workflow.id, n8n.node.type, openinference.span.kind, n8n.node.status
+ *   n8n.node.executions       counter         n8n.workflow.id, n8n.node.type, openinference.span.kind, n8n.node.status
+ *   n8n.node.errors           counter         n8n.workflow.id, n8n.node.type, openinference.span.kind
+ *   llm.token_count           counter         llm.model_name, llm.token_type (prompt | completion | total)
+ *
+ * All metrics are recorded for every execution, independent of trace sampling.
+ * Token counts come from the output of LLM and agent node runs (the usage n8n's
+ * LangChain nodes report), not from spans, so sampled-out and tail-dropped
+ * executions count too.
+ */
+
+const { metrics } = require('@opentelemetry/api');
+
+// Buckets tuned for workflow / node durations (ms), up to 10 minutes
+const DURATION_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000, 300000, 600000];
+
+const TOKEN_ATTRIBUTES = {
+  prompt: 'llm.token_count.prompt',
+  completion: 'llm.token_count.completion',
+  total: 'llm.token_count.total',
+};
+
+/**
+ * Create the n8n metrics recorder.
+ *
+ * Instruments are created lazily on first use: the global MeterProvider is only
+ * registered once the SDK has started, and the metrics API has no proxy meter.
+ *
+ * @param {object} [options]
+ * @param {string} [options.meterName='n8n-instrumentation']
+ * @param {string} [options.meterVersion='1.0.0']
+ */
+function createN8nMetrics({ meterName = 'n8n-instrumentation', meterVersion = '1.0.0' } = {}) {
+  let instruments;
+
+  function getInstruments() {
+    if (instruments) return instruments;
+    const meter = metrics.getMeter(meterName, meterVersion);
+    const histogramOptions = (description) => ({
+      description,
+      unit: 'ms',
+      advice: { explicitBucketBoundaries: DURATION_BUCKETS_MS },
+    });
+    instruments = {
+      workflowDuration: meter.createHistogram('n8n.workflow.duration', histogramOptions('Duration of n8n workflow executions')),
+      workflowExecutions: meter.createCounter('n8n.workflow.executions', { description: 'Number of n8n workflow executions' }),
+      workflowErrors: meter.createCounter('n8n.workflow.errors', { description: 'Number of failed n8n workflow executions' }),
+      workflowLlmCost: meter.createCounter('n8n.workflow.llm.cost', { description: 'Estimated LLM cost of n8n workflow executions', unit: 'USD' }),
+      nodeDuration: meter.createHistogram('n8n.node.duration', histogramOptions('Duration of n8n node executions')),
+      nodeExecutions: meter.createCounter('n8n.node.executions', { description: 'Number of n8n node executions' }),
+      nodeErrors: meter.createCounter('n8n.node.errors', { description: 'Number of failed n8n node executions' }),
+      tokens: meter.createCounter('llm.token_count', { description: 'LLM tokens used', unit: '{token}' }),
+    };
+    return instruments;
+  }
+
+  /**
+   * @param {object} data
+   * @param {string} data.workflowId
+   * @param {'ok'|'error'} data.status
+   * @param {number} data.durationMs
+   * @param {number} [data.llmCost] - Estimated LLM cost (USD)
+   */
+  function recordWorkflow({ workflowId, status, durationMs, llmCost }) {
+    try {
+      const i = getInstruments();
+      const attrs = { 'n8n.workflow.id': workflowId || 'unknown', 'n8n.execution.status': status };
+      i.workflowDuration.record(durationMs, attrs);
+      i.workflowExecutions.add(1, attrs);
+      if (status === 'error') i.workflowErrors.add(1, { 'n8n.workflow.id': attrs['n8n.workflow.id'] });
+      if (llmCost > 0) i.workflowLlmCost.add(llmCost, { 'n8n.workflow.id': attrs['n8n.workflow.id'] });
+    } catch (e) {
+      // Metrics must never break an execution
+    }
+  }
+
+  /**
+   * @param {object} data
+   * @param {string} data.workflowId
+   * @param {string} data.nodeType
+   * @param {string} data.spanKind - OpenInference span kind
+   * @param {'ok'|'error'|'error_output'} data.status
+   * @param {number} data.durationMs
+   * @param {{ model?: string, counts: object }} [data.tokens] - llm.token_count.* of an LLM / agent run
+   */
+  function recordNode({ workflowId, nodeType, spanKind, status, durationMs, tokens }) {
+    try {
+      const i = getInstruments();
+      const base = {
+        'n8n.workflow.id': workflowId || 'unknown',
+        'n8n.node.type': nodeType || 'unknown',
+        'openinference.span.kind': spanKind || 'CHAIN',
+      };
+      const attrs = { ...base, 'n8n.node.status': status };
+      i.nodeDuration.record(durationMs, attrs);
+      i.nodeExecutions.add(1, attrs);
+      if (status === 'error') i.nodeErrors.add(1, base);
+      if (tokens) recordTokens(tokens);
+    } catch (e) {
+      // Metrics must never break an execution
+    }
+  }
+
+  function recordTokens({ model, counts }) {
+    const i = getInstruments();
+    for (const [tokenType, key] of Object.entries(TOKEN_ATTRIBUTES)) {
+      const count = Number(counts[key]);
+      if (count > 0) i.tokens.add(count, { 'llm.model_name': model || 'unknown', 'llm.token_type': tokenType });
+    }
+  }
+
+  return { recordWorkflow, recordNode };
+}
+
+module.exports = { createN8nMetrics, DURATION_BUCKETS_MS };
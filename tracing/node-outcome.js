@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Retry and continue-on-fail outcomes of node runs.
+ *
+ * n8n calls runNode() once per attempt of a node with "Retry On Fail"
+ * (retryOnFail, maxTries, waitBetweenTries), so each attempt is its own node
+ * span; NodeAttempts numbers them and keeps the failures of earlier attempts.
+ *
+ * Nodes set to continue on failure (continueOnFail, onError:
+ * continueRegularOutput / continueErrorOutput) report failed items as output
+ * items carrying an `error` (n8n moves them to the error output after the node
+ * has run), so the run itself succeeds.
+ */
+
+// n8n's bounds for retry settings (WorkflowExecute)
+const MIN_TRIES = 2;
+const MAX_TRIES = 5;
+const DEFAULT_TRIES = 3;
+
+/**
+ * Attempts n8n makes for a node.
+ * @param {object} node
+ * @returns {number} 1 when retries are off
+ */
+function getMaxTries(node) {
+  if (node?.retryOnFail !== true) return 1;
+  return Math.min(MAX_TRIES, Math.max(MIN_TRIES, Number(node.maxTries) || DEFAULT_TRIES));
+}
+
+/**
+ * How n8n handles a failure of the node.
+ * @param {object} node
+ * @returns {'stopWorkflow'|'continueRegularOutput'|'continueErrorOutput'}
+ */
+function getErrorHandling(node) {
+  if (node?.onError === 'continueRegularOutput' || node?.onError === 'continueErrorOutput') return node.onError;
+  if (node?.continueOnFail === true) return 'continueRegularOutput';
+  return 'stopWorkflow';
+}
+
+function errorMessage(error) {
+  if (error == null) return 'unknown error';
+  if (typeof error === 'string') return error;
+  return String(error.message || error.description || JSON.stringify(error));
+}
+
+/**
+ * Error items in a node's output. Only meaningful for nodes that continue on
+ * failure; other nodes may legitimately output an `error` field.
+ * @param {object} result - runNode result ({ data: INodeExecutionData[][] })
+ * @param {string} errorHandling - From getErrorHandling()
+ * @returns {{ count: number, total: number, firstMessage?: string }}
+ */
+function getErrorItems(result, errorHandling) {
+  const outputs = Array.isArray(result?.data) ? result.data : [];
+  const errors = new Set();
+  let total = 0;
+  outputs.forEach((items, outputIndex) => {
+    if (!Array.isArray(items)) return;
+    total += items.length;
+    // Items a node sent to its error output (always the last output) itself
+    const isErrorOutput = errorHandling === 'continueErrorOutput' && outputs.length > 1 && outputIndex === outputs.length - 1;
+    for (const item of items) {
+      if (isErrorOutput || item?.error !== undefined || item?.json?.error !== undefined) errors.add(item);
+    }
+  });
+  const first = errors.values().next().value;
+  return {
+    count: errors.size,
+    total,
+    firstMessage: first ? errorMessage(first.error ?? first.json?.error) : undefined,
+  };
+}
+
+/**
+ * Attempts of the node runs of one execution, keyed by node name and run index.
+ */
+class NodeAttempts {
+  constructor() {
+    // key -> { attempt, failures: [{ attempt, error, spanContext }] }
+    this.runs = new Map();
+  }
+
+  /**
+   * Start an attempt.
+   * @param {string} nodeName
+   * @param {number} runIndex
+   * @returns {{ attempt: number, failures: object[] }} failures of the earlier attempts
+   */
+  start(nodeName, runIndex) {
+    const key = `${nodeName}#${runIndex ?? 0}`;
+    const run = this.runs.get(key) || { attempt: 0, failures: [] };
+    run.attempt += 1;
+    this.runs.set(key, run);
+    return { attempt: run.attempt, failures: run.failures.slice() };
+  }
+
+  /**
+   * Record a failed attempt; kept until the next attempt or the run ends.
+   * @param {string} nodeName
+   * @param {number} runIndex
+   * @param {Error} error
+   * @param {object} spanContext - Span of the failed attempt
+   * @param {boolean} final - No further attempt will follow
+   */
+  fail(nodeName, runIndex, error, spanContext, final) {
+    const key = `${nodeName}#${runIndex ?? 0}`;
+    const run = this.runs.get(key);
+    if (!run) return;
+    if (final) {
+      this.runs.delete(key);
+      return;
+    }
+    run.failures.push({ attempt: run.attempt, error, spanContext });
+  }
+
+  /** The run succeeded: no more attempts */
+  succeed(nodeName, runIndex) {
+    this.runs.delete(`${nodeName}#${runIndex ?? 0}`);
+  }
+}
+
+module.exports = { getMaxTries, getErrorHandling, getErrorItems, errorMessage, NodeAttempts };
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Trace Annotate: n8n node adding metadata, tags, user / session ids, events
+ * and feedback scores to the execution's trace.
+ *
+ * Loaded by n8n as a custom node (N8N_CUSTOM_EXTENSIONS, set by
+ * docker-entrypoint.sh). It talks to tracing.js through
+ * global.__n8nTracing; without tracing it passes its items through unchanged.
+ * Plain JavaScript without dependencies, so it loads whether or not n8n's
+ * packages are resolvable.
+ */
+
+function parseJsonObject(value, field) {
+  if (value === undefined || value === null || value === '') return {};
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) throw new TypeError(`${field} must be a JSON object`);
+  return parsed;
+}
+
+class TraceAnnotate {
+  constructor() {
+    this.description = {
+      displayName: 'Trace Annotate',
+      name: 'traceAnnotate',
+      icon: 'fa:tags',
+      group: ['transform'],
+      version: 1,
+      subtitle: '={{ { workflow: "Workflow span", node: "This node\'s span", trace: "Span by ID" }[$parameter["target"]] }}',
+      description: 'Add metadata, tags, events and feedback scores to the trace of the execution',
+      defaults: { name: 'Trace Annotate' },
+      inputs: ['main'],
+      outputs: ['main'],
+      properties: [
+        {
+          displayName: 'Span',
+          name: 'target',
+          type: 'options',
+          options: [
+            { name: 'Workflow Span', value: 'workflow', description: 'The span of this execution' },
+            { name: "This Node's Span", value: 'node', description: 'The span of this node run' },
+            {
+              name: 'Span by ID',
+              value: 'trace',
+              description: 'A new span under a given trace / span, e.g. feedback for an earlier execution',
+            },
+          ],
+          default: 'workflow',
+        },
+        {
+          displayName: 'Trace ID',
+          name: 'traceId',
+          type: 'string',
+          default: '',
+          required: true,
+          placeholder: '{{ $json.otel_trace_id }}',
+          description: "Trace ID of the execution to annotate (its custom data 'otel_trace_id')",
+          displayOptions: { show: { target: ['trace'] } },
+        },
+        {
+          displayName: 'Span ID',
+          name: 'spanId',
+          type: 'string',
+          default: '',
+          required: true,
+          placeholder: '{{ $json.otel_span_id }}',
+          description: "Span the annotation is attached under (custom data 'otel_span_id')",
+          displayOptions: { show: { target: ['trace'] } },
+        },
+        {
+          displayName: 'Tags',
+          name: 'tags',
+          type: 'string',
+          default: '',
+          placeholder: 'premium, escalated',
+          description: 'Comma-separated tags added to tag.tags',
+        },
+        {
+          displayName: 'Metadata',
+          name: 'metadata',
+          type: 'fixedCollection',
+          typeOptions: { multipleValues: true },
+          placeholder: 'Add Metadata',
+          default: {},
+          options: [
+            {
+              name: 'values',
+              displayName: 'Metadata',
+              values: [
+                { displayName: 'Key', name: 'key', type: 'string', default: '' },
+                { displayName: 'Value', name: 'value', type: 'string', default: '' },
+              ],
+            },
+          ],
+        },
+        {
+          displayName: 'Events',
+          name: 'events',
+          type: 'fixedCollection',
+          typeOptions: { multipleValues: true },
+          placeholder: 'Add Event',
+          default: {},
+          options: [
+            {
+              name: 'values',
+              displayName: 'Event',
+              values: [
+                { displayName: 'Name', name: 'name', type: 'string', default: '' },
+                {
+                  displayName: 'Attributes',
+                  name: 'attributes',
+                  type: 'json',
+                  default: '{}',
+                  description: 'JSON object of event attributes',
+                },
+              ],
+            },
+          ],
+        },
+        {
+          displayName: 'Feedback',
+          name: 'feedback',
+          type: 'fixedCollection',
+          typeOptions: { multipleValues: true },
+          placeholder: 'Add Score',
+          default: {},
+          options: [
+            {
+              name: 'values',
+              displayName: 'Score',
+              values: [
+                { displayName: 'Name', name: 'name', type: 'string', default: '', placeholder: 'user_rating' },
+                {
+                  displayName: 'Has Score',
+                  name: 'hasScore',
+                  type: 'boolean',
+                  default: true,
+                  description: 'Whether to record a numeric score; turn off for label-only feedback',
+                },
+                { displayName: 'Score', name: 'score', type: 'number', default: 0, displayOptions: { show: { hasScore: [true] } } },
+                { displayName: 'Label', name: 'label', type: 'string', default: '', placeholder: 'helpful' },
+                { displayName: 'Explanation', name: 'explanation', type: 'string', default: '' },
+              ],
+            },
+          ],
+        },
+        {
+          displayName: 'Options',
+          name: 'options',
+          type: 'collection',
+          placeholder: 'Add Option',
+          default: {},
+          options: [
+            {
+              displayName: 'User ID',
+              name: 'userId',
+              type: 'string',
+              default: '',
+              description: 'Replaces user.id (workflow span: also on the node spans that follow)',
+            },
+            {
+              displayName: 'Session ID',
+              name: 'sessionId',
+              type: 'string',
+              default: '',
+              description: 'Replaces session.id (workflow span: also on the node spans that follow)',
+            },
+            {
+              displayName: 'Arize Project',
+              name: 'project',
+              type: 'string',
+              default: '',
+              placeholder: 'support-agents',
+              description:
+                'Project the annotated trace was exported to, for traces routed to another project (TRACING_PROJECT_RULES / TRACING_MODE_PROJECTS)',
+              displayOptions: { show: { '/target': ['trace'] } },
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  async execute() {
+    const items = this.getInputData();
+    const tracing = global.__n8nTracing;
+    const node = this.getNode();
+    const output = [];
+
+    for (let i = 0; i < items.length; i++) {
+      try {
+        const target = this.getNodeParameter('target', i);
+        const options = this.getNodeParameter('options', i, {});
+        const metadata = {};
+        for (const entry of this.getNodeParameter('metadata.values', i, [])) {
+          if (entry.key) metadata[entry.key] = entry.value;
+        }
+        const events = this.getNodeParameter('events.values', i, []).map((event) => ({
+          name: event.name,
+          attributes: parseJsonObject(event.attributes, `Attributes of event "${event.name}"`),
+        }));
+        const request = {
+          executionId: this.getExecutionId(),
+          workflowId: this.getWorkflow().id,
+          nodeName: node.name,
+          target,
+          traceId: target === 'trace' ? this.getNodeParameter('traceId', i) : undefined,
+          spanId: target === 'trace' ? this.getNodeParameter('spanId', i) : undefined,
+          tags: this.getNodeParameter('tags', i, ''),
+          metadata,
+          events,
+          feedback: this.getNodeParameter('feedback.values', i, []).map(({ hasScore, ...entry }) => ({
+            ...entry,
+            score: hasScore === false ? undefined : entry.score,
+          })),
+          userId: options.userId,
+          sessionId: options.sessionId,
+          project: target === 'trace' ? options.project : undefined,
+        };
+        if (tracing) tracing.annotate(request);
+        output.push({ ...items[i], pairedItem: { item: i } });
+      } catch (error) {
+        if (this.continueOnFail()) {
+          output.push({ json: { ...items[i].json, error: error.message }, pairedItem: { item: i } });
+          continue;
+        }
+        throw error;
+      }
+    }
+    return [output];
+  }
+}
+
+module.exports = { TraceAnnotate };
@@ -10,12 +10,26 @@
  * Valid OpenInference span kinds:
  * [ 'LLM', 'EMBEDDING', 'CHAIN', 'RETRIEVER', 'RERANKER', 'TOOL', 'AGENT', 'GUARDRAIL', 'EVALUATOR', 'PROMPT' ]
  *
+ * Node types are namespaced by package (`@n8n/n8n-nodes-langchain.lmChatOpenAi`,
+ * `n8n-nodes-base.httpRequest`, `n8n-nodes-acme.myNode`). Built-in sets and
+ * heuristics compare against the bare node name, case-insensitively.
+ *
  * Priority:
+ *   - User rules (TRACING_SPAN_KIND_RULES / TRACING_SPAN_KIND_RULES_FILE)
  *   - Exact match sets
  *   - Regex heuristics
  *   - Category fallback
+ *
+ * User rules (JSON or YAML array, first match wins; all criteria on a rule must match):
+ *   - kind: LLM                     # required, one of SPAN_KINDS
+ *     name: acme-llm                # optional, shown in the debug report
+ *     type: n8n-nodes-acme.acmeChat # full type, or bare name; string or list
+ *     package: n8n-nodes-acme       # package prefix; string or list
+ *     pattern: "chat$"              # regex tested against the full type (case-insensitive)
  */
 
+const fs = require('fs');
+
 // Valid OpenInference span kinds (for reference)
 const SPAN_KINDS = Object.freeze([
   'LLM',
@@ -42,8 +56,9 @@ const EXACT_SETS = {
   RERANKER:   new Set(['RerankerCohere']),
   EVALUATOR:  new Set(['SentimentAnalysis', 'TextClassifier', 'InformationExtractor', 'OutputParserAutofixing']),
   GUARDRAIL:  new Set(['GooglePerspective', 'AwsRekognition']),
-  CHAIN:      new Set(['ChainLlm', 'ChainRetrievalQa', 'ChainSummarization', 'ToolWorkflow', 'ToolExecutor', 'ModelSelector', 'OutputParserStructured', 'OutputParserItemList',
-                       'TextSplitterCharacterTextSplitter', 'TextSplitterRecursiveCharacterTextSplitter', 'TextSplitterTokenSplitter', 'ToolThink']),
+  TOOL:       new Set(['ToolWorkflow', 'ToolThink', 'ToolExecutor']),
+  CHAIN:      new Set(['ChainLlm', 'ChainRetrievalQa', 'ChainSummarization', 'ModelSelector', 'OutputParserStructured', 'OutputParserItemList',
+                       'TextSplitterCharacterTextSplitter', 'TextSplitterRecursiveCharacterTextSplitter', 'TextSplitterTokenSplitter']),
 };
 
 // Regex heuristics
@@ -62,6 +77,12 @@ const REGEX_RULES = [
   { kind: 'GUARDRAIL', pattern: /(perspective|rekognition|moderation|guardrail)/i },
 ];
 
+// Lower-cased lookup: bare node name -> span kind
+const EXACT_LOOKUP = new Map();
+for (const [spanKind, set] of Object.entries(EXACT_SETS)) {
+  for (const name of set) EXACT_LOOKUP.set(name.toLowerCase(), { kind: spanKind, name });
+}
+
 // Internal logic nodes fallback mapping
 const INTERNAL_LOGIC = new Set([
   'If',
@@ -79,7 +100,24 @@ const INTERNAL_LOGIC = new Set([
   'SubworkflowTo',
 ]);
 
-function categoryFallback(type, category) {
+const INTERNAL_LOGIC_LOOKUP = new Set([...INTERNAL_LOGIC].map((t) => t.toLowerCase()));
+
+/**
+ * Split a node type into package and bare name.
+ * @param {string} nodeType - e.g. '@n8n/n8n-nodes-langchain.lmChatOpenAi'
+ * @returns {{ type: string, packageName: string, name: string }} Lower-cased parts
+ */
+function normalizeNodeType(nodeType) {
+  const type = String(nodeType).trim().toLowerCase();
+  const dot = type.lastIndexOf('.');
+  return {
+    type,
+    packageName: dot > 0 ? type.slice(0, dot) : '',
+    name: dot >= 0 ? type.slice(dot + 1) : type,
+  };
+}
+
+function categoryFallback(name, category) {
   switch (category) {
     case 'Trigger Nodes':
       return 'CHAIN'; // No direct "event" kind in OpenInference; CHAIN is closest
@@ -88,8 +126,8 @@ function categoryFallback(type, category) {
     case 'AI/LangChain Nodes':
       return 'CHAIN';
     case 'Core Nodes': {
-      if (INTERNAL_LOGIC.has(type)) return 'CHAIN';
-      if (type === 'Schedule' || type === 'Cron') return 'CHAIN';
+      if (INTERNAL_LOGIC_LOOKUP.has(name)) return 'CHAIN';
+      if (name === 'schedule' || name === 'cron') return 'CHAIN';
       return 'TOOL';
     }
     default:
@@ -97,34 +135,143 @@ function categoryFallback(type, category) {
   }
 }
 
+function toList(value) {
+  if (value == null) return undefined;
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim().toLowerCase());
+}
+
 /**
- * Main mapping function
- * @param {string} nodeType - The n8n node type string
- * @param {object} nodeAttributes - Optional, can include 'n8n.node.category'
- * @returns {string|undefined} One of SPAN_KINDS or undefined
+ * Compile a user mapping rule.
+ * @param {object} rule - Raw rule from config
+ * @param {number} index - Position in the rule list (used as a fallback name)
+ * @returns {{ name: string, kind: string, matches: (normalized: object) => boolean }}
  */
-function mapNodeToSpanKind(nodeType, nodeAttributes) {
-  if (!nodeType || typeof nodeType !== 'string') return undefined;
-  const original = nodeType;
+function compileSpanKindRule(rule, index) {
+  if (!rule || typeof rule !== 'object') throw new Error(`Span kind rule #${index} must be an object`);
+  const kind = String(rule.kind || '').toUpperCase();
+  if (!SPAN_KINDS.includes(kind)) {
+    throw new Error(`Span kind rule #${index} has invalid kind "${rule.kind}" (expected one of ${SPAN_KINDS.join(', ')})`);
+  }
+  const types = toList(rule.type);
+  const packages = toList(rule.package);
+  let pattern;
+  if (rule.pattern != null) {
+    try {
+      pattern = new RegExp(rule.pattern, 'i');
+    } catch (e) {
+      throw new Error(`Span kind rule #${index} has an invalid pattern: ${e.message}`);
+    }
+  }
+  if (!types && !packages && !pattern) {
+    throw new Error(`Span kind rule #${index} needs at least one of type, package or pattern`);
+  }
+
+  function matches(normalized) {
+    // Types without a package prefix match the bare node name
+    if (types && !types.some((t) => t === normalized.type || t === normalized.name)) return false;
+    if (packages && !packages.includes(normalized.packageName)) return false;
+    if (pattern && !pattern.test(normalized.type)) return false;
+    return true;
+  }
 
-  // 1. Exact sets
-  for (const [spanKind, set] of Object.entries(EXACT_SETS)) {
-    if (set.has(original)) return spanKind;
+  return { name: rule.name || `rule-${index}`, kind, matches };
+}
+
+/**
+ * Load user mapping rules from an inline JSON string and/or a JSON / YAML file.
+ * Inline rules come first, followed by rules from the file.
+ * @param {object} source
+ * @param {string} [source.json] - JSON array
+ * @param {string} [source.file] - Path to a .json, .yaml or .yml file containing an array
+ * @returns {object[]} Compiled rules
+ */
+function loadSpanKindRules({ json, file }) {
+  const raw = [];
+  if (json && json.trim()) {
+    try {
+      raw.push(...asRuleArray(JSON.parse(json)));
+    } catch (e) {
+      throw new Error(`Invalid TRACING_SPAN_KIND_RULES: ${e.message}`);
+    }
+  }
+  if (file && file.trim()) {
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      raw.push(...asRuleArray(/\.ya?ml$/i.test(file) ? require('yaml').parse(text) : JSON.parse(text)));
+    } catch (e) {
+      throw new Error(`Invalid TRACING_SPAN_KIND_RULES_FILE ${file}: ${e.message}`);
+    }
   }
+  return raw.map((rule, idx) => compileSpanKindRule(rule, idx));
+}
+
+function asRuleArray(value) {
+  if (!Array.isArray(value)) throw new Error('span kind rules must be an array');
+  return value;
+}
+
+/**
+ * Create a mapper applying user rules before the built-in mapping.
+ * @param {object} [options]
+ * @param {object[]} [options.rules] - Compiled rules from loadSpanKindRules()
+ */
+function createSpanKindMapper({ rules = [] } = {}) {
+  /**
+   * Resolve the span kind and the rule that produced it.
+   * @param {string} nodeType - The n8n node type string
+   * @param {object} [nodeAttributes] - Optional, can include 'n8n.node.category'
+   * @returns {{ kind: string|undefined, rule: string }} rule is e.g. 'user:acme-llm',
+   *   'exact:LmChatOpenAi', 'regex:/agent/i', 'category:Core Nodes' or 'none'
+   */
+  function explain(nodeType, nodeAttributes) {
+    if (!nodeType || typeof nodeType !== 'string') return { kind: undefined, rule: 'none' };
+    const normalized = normalizeNodeType(nodeType);
+
+    // 1. User rules
+    for (const rule of rules) {
+      if (rule.matches(normalized)) return { kind: rule.kind, rule: `user:${rule.name}` };
+    }
+
+    // 2. Exact sets
+    const exact = EXACT_LOOKUP.get(normalized.name);
+    if (exact) return { kind: exact.kind, rule: `exact:${exact.name}` };
 
-  // 2. Regex heuristics
-  const lower = original.toLowerCase();
-  for (const rule of REGEX_RULES) {
-    if (rule.pattern.test(lower)) return rule.kind;
+    // 3. Regex heuristics
+    for (const rule of REGEX_RULES) {
+      if (rule.pattern.test(normalized.name)) return { kind: rule.kind, rule: `regex:${rule.pattern}` };
+    }
+
+    // 4. Category fallback
+    const category = nodeAttributes?.['n8n.node.category'] || nodeAttributes?.['n8n.node.category_raw'];
+    const fromCategory = categoryFallback(normalized.name, category);
+    if (fromCategory) return { kind: fromCategory, rule: `category:${category}` };
+
+    // 5. No match => undefined (caller can default to 'CHAIN')
+    return { kind: undefined, rule: 'none' };
   }
 
-  // 3. Category fallback
-  const category = nodeAttributes?.['n8n.node.category'] || nodeAttributes?.['n8n.node.category_raw'];
-  const fromCategory = categoryFallback(original, category);
-  if (fromCategory) return fromCategory;
+  return {
+    explain,
+    map: (nodeType, nodeAttributes) => explain(nodeType, nodeAttributes).kind,
+  };
+}
+
+const defaultMapper = createSpanKindMapper();
 
-  // 4. No match => undefined (caller can default to 'CHAIN')
-  return undefined;
+/**
+ * Main mapping function (built-in rules only)
+ * @param {string} nodeType - The n8n node type string
+ * @param {object} nodeAttributes - Optional, can include 'n8n.node.category'
+ * @returns {string|undefined} One of SPAN_KINDS or undefined
+ */
+function mapNodeToSpanKind(nodeType, nodeAttributes) {
+  return defaultMapper.map(nodeType, nodeAttributes);
 }
 
-module.exports = { mapNodeToSpanKind, SPAN_KINDS };
+module.exports = {
+  mapNodeToSpanKind,
+  createSpanKindMapper,
+  loadSpanKindRules,
+  normalizeNodeType,
+  SPAN_KINDS,
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Arize project routing: export whole traces to a project other than the
+ * default one (the `openinference.project.name` resource attribute, from
+ * ARIZE_PROJECT_NAME).
+ *
+ * The project is chosen when the first workflow span of a trace starts in this
+ * process, from that span's attributes. Every span of the trace (node spans,
+ * LangChain sub-spans, sub-workflows) is then exported with a resource naming
+ * that project. The choice is recorded on the workflow span:
+ *   n8n.routing.project, n8n.routing.rule
+ *
+ * Project rules (workflow rules, see workflow-rules.js, with a `project`)
+ * pick a project per workflow, first match wins. Routes by execution mode then
+ * map a mode to a project name, where `{project}` stands for the project chosen
+ * so far (e.g. manual=`{project}-dev`); `{project}` in a rule's project is the
+ * default project.
+ *
+ * Spans added to a trace later (e.g. Trace Annotate feedback under an earlier
+ * execution's span) follow the trace's project while it is remembered
+ * (maxTraces, in memory); otherwise the project they name in
+ * `n8n.annotation.project`, or the default one.
+ */
+
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { isWorkflowSpan } = require('./sampling');
+const { findMatchingRule } = require('./workflow-rules');
+
+const PROJECT_ATTRIBUTE = 'openinference.project.name';
+const ANNOTATION_PROJECT_ATTRIBUTE = 'n8n.annotation.project';
+
+/**
+ * Parse `mode=project` pairs.
+ * @param {string[]} [entries] - e.g. ['manual={project}-dev', 'evaluation=n8n-evals']
+ * @returns {object} mode -> project name
+ */
+function parseModeProjects(entries = []) {
+  const modeProjects = {};
+  for (const entry of entries) {
+    const [mode, project] = entry.split('=').map((part) => part.trim());
+    if (!mode || !project) throw new Error(`Invalid mode route "${entry}", expected mode=project`);
+    modeProjects[mode.toLowerCase()] = project;
+  }
+  return modeProjects;
+}
+
+/**
+ * Picks the project of a trace from its workflow span attributes.
+ */
+class ProjectRouter {
+  /**
+   * @param {object} options
+   * @param {string} options.defaultProject
+   * @param {object[]} [options.rules] - Compiled workflow rules with a `project`
+   * @param {object} [options.modeProjects] - From parseModeProjects()
+   */
+  constructor({ defaultProject, rules = [], modeProjects = {} }) {
+    for (const rule of rules) {
+      if (typeof rule.project !== 'string' || !rule.project.trim()) {
+        throw new Error(`Project rule "${rule.name}" needs a project`);
+      }
+    }
+    this.defaultProject = defaultProject;
+    this.rules = rules;
+    this.modeProjects = modeProjects;
+  }
+
+  /**
+   * @param {object} attributes - Workflow span attributes
+   * @returns {{ project: string, rule: string } | undefined} undefined for the default project
+   */
+  resolve(attributes) {
+    const names = [];
+    let project = this.defaultProject;
+    const rule = findMatchingRule(this.rules, attributes);
+    if (rule) {
+      project = rule.project.replace(/\{project\}/g, this.defaultProject);
+      names.push(rule.name);
+    }
+    const mode = String(attributes['n8n.execution.mode'] ?? '').toLowerCase();
+    const template = this.modeProjects[mode];
+    if (template) {
+      project = template.replace(/\{project\}/g, project);
+      names.push(`mode:${mode}`);
+    }
+    return project === this.defaultProject ? undefined : { project, rule: names.join(',') };
+  }
+
+  get enabled() {
+    return this.rules.length > 0 || Object.keys(this.modeProjects).length > 0;
+  }
+}
+
+/**
+ * Span processor exporting the spans of routed traces with their project's resource.
+ */
+class ProjectRoutingSpanProcessor {
+  /**
+   * @param {object} options
+   * @param {import('@opentelemetry/sdk-trace-base').SpanProcessor} options.downstream
+   * @param {ProjectRouter} options.router
+   * @param {number} [options.maxTraces=10000] - Routing decisions remembered
+   */
+  constructor({ downstream, router, maxTraces = 10000 }) {
+    this.downstream = downstream;
+    this.router = router;
+    this.maxTraces = maxTraces;
+    // traceId -> project name, or null for the default project
+    this.traces = new Map();
+    // base resource -> project -> resource
+    this.resources = new WeakMap();
+  }
+
+  onStart(span, parentContext) {
+    const traceId = span.spanContext().traceId;
+    if (isWorkflowSpan(span.attributes) && !this.traces.has(traceId)) {
+      const route = this.router.resolve(span.attributes);
+      this.traces.set(traceId, route ? route.project : null);
+      if (this.traces.size > this.maxTraces) this.traces.delete(this.traces.keys().next().value);
+      if (route) {
+        span.setAttribute('n8n.routing.project', route.project);
+        span.setAttribute('n8n.routing.rule', route.rule);
+      }
+    }
+    this.downstream.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    const traceId = span.spanContext().traceId;
+    const project = this.traces.has(traceId) ? this.traces.get(traceId) : span.attributes?.[ANNOTATION_PROJECT_ATTRIBUTE];
+    // Spans are already ended (read-only API); replace the exported resource directly
+    if (project) span.resource = this.resourceFor(span.resource, project);
+    this.downstream.onEnd(span);
+  }
+
+  // One resource object per project, so exporters batch the project's spans together
+  resourceFor(base, project) {
+    let byProject = this.resources.get(base);
+    if (!byProject) {
+      byProject = new Map();
+      this.resources.set(base, byProject);
+    }
+    let resource = byProject.get(project);
+    if (!resource) {
+      resource = base.merge(resourceFromAttributes({ [PROJECT_ATTRIBUTE]: project }));
+      byProject.set(project, resource);
+    }
+    return resource;
+  }
+
+  forceFlush() {
+    return this.downstream.forceFlush();
+  }
+
+  shutdown() {
+    return this.downstream.shutdown();
+  }
+}
+
+module.exports = { ProjectRouter, ProjectRoutingSpanProcessor, parseModeProjects };
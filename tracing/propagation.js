@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * W3C trace context propagation for n8n, independent of the HTTP
+ * auto-instrumentations (TRACING_ONLY_WORKFLOW_SPANS=true disables them).
+ *
+ * Inbound: requests to n8n's webhook / form endpoints that carry a
+ * `traceparent` header are handled inside the extracted context, so the
+ * workflow span they start continues the caller's trace. Executions that run
+ * elsewhere (queue mode workers) fall back to the headers in the trigger item.
+ *
+ * Outbound: an axios interceptor injects `traceparent` / `tracestate` /
+ * `baggage` (the propagators configured by OTEL_PROPAGATORS) into requests
+ * made while selected node types run, e.g. the HTTP Request node. Headers the
+ * node already sets are left alone.
+ */
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { context, propagation, trace, createContextKey, ROOT_CONTEXT } = require('@opentelemetry/api');
+
+// n8n endpoint env vars and their defaults (webhooks, chat, forms, resumed waits)
+const N8N_ENDPOINTS = {
+  N8N_ENDPOINT_WEBHOOK: 'webhook',
+  N8N_ENDPOINT_WEBHOOK_TEST: 'webhook-test',
+  N8N_ENDPOINT_WEBHOOK_WAIT: 'webhook-waiting',
+  N8N_ENDPOINT_FORM: 'form',
+  N8N_ENDPOINT_FORM_TEST: 'form-test',
+  N8N_ENDPOINT_FORM_WAIT: 'form-waiting',
+};
+
+// Node type of the running node, set by the runNode patch
+const NODE_TYPE_KEY = createContextKey('n8n.tracing.node_type');
+
+function getHeader(headers, name) {
+  if (!headers || typeof headers !== 'object') return undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  const value = key === undefined ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Header names lower-cased, as the propagators expect
+function normalizeHeaders(headers) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(headers)) normalized[key.toLowerCase()] = value;
+  return normalized;
+}
+
+/**
+ * First path segments (after N8N_PATH) of the endpoints to extract context for.
+ * @param {object} [env]
+ * @returns {{ basePath: string[], endpoints: Set<string> }}
+ */
+function getWebhookEndpoints(env = process.env) {
+  const endpoints = new Set(Object.entries(N8N_ENDPOINTS).map(([name, def]) => (env[name] || def).replace(/^\/+|\/+$/g, '')));
+  const basePath = (env.N8N_PATH || '/').split('/').filter(Boolean);
+  return { basePath, endpoints };
+}
+
+function isWebhookRequest(url, { basePath, endpoints }) {
+  const segments = String(url || '').split('?')[0].split('/').filter(Boolean);
+  if (!basePath.every((segment, i) => segments[i] === segment)) return false;
+  return endpoints.has(segments[basePath.length]);
+}
+
+/**
+ * Handle webhook requests carrying a traceparent inside the extracted context.
+ * Only needed without the HTTP server instrumentation, whose server span already
+ * continues the caller's trace.
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment holding n8n's endpoint settings
+ * @returns {boolean} true when installed
+ */
+function installInboundPropagation({ env = process.env } = {}) {
+  const routes = getWebhookEndpoints(env);
+  for (const Server of [http.Server, https.Server]) {
+    const originalEmit = Server.prototype.emit;
+    if (originalEmit.__n8nTracingPropagation) continue;
+    const emit = function (event, req) {
+      if (event !== 'request' || !getHeader(req?.headers, 'traceparent') || !isWebhookRequest(req.url, routes)) {
+        return originalEmit.apply(this, arguments);
+      }
+      const extracted = propagation.extract(ROOT_CONTEXT, normalizeHeaders(req.headers));
+      return context.with(extracted, () => originalEmit.apply(this, arguments));
+    };
+    emit.__n8nTracingPropagation = true;
+    Server.prototype.emit = emit;
+  }
+  return true;
+}
+
+/**
+ * Context extracted from the headers of a webhook trigger item ({ headers, body, ... }).
+ * @param {object} parentContext
+ * @param {object} [triggerItem]
+ * @returns {object|undefined} the extracted context, when the headers carry a valid traceparent
+ */
+function extractTriggerContext(parentContext, triggerItem) {
+  const headers = triggerItem?.headers;
+  if (!getHeader(headers, 'traceparent')) return undefined;
+  const extracted = propagation.extract(parentContext, normalizeHeaders(headers));
+  return trace.getSpanContext(extracted) ? extracted : undefined;
+}
+
+/**
+ * Mark the running node in a context, for the outbound interceptor.
+ * @param {object} ctx
+ * @param {object} node
+ * @returns {object} context
+ */
+function setCurrentNode(ctx, node) {
+  return typeof node?.type === 'string' ? ctx.setValue(NODE_TYPE_KEY, node.type.toLowerCase()) : ctx;
+}
+
+function setMissingHeaders(config, carrier) {
+  config.headers = config.headers || {};
+  const headers = config.headers;
+  for (const [name, value] of Object.entries(carrier)) {
+    if (typeof headers.has === 'function' && typeof headers.set === 'function') {
+      // AxiosHeaders (case-insensitive)
+      if (!headers.has(name)) headers.set(name, value);
+    } else if (getHeader(headers, name) === undefined) {
+      headers[name] = value;
+    }
+  }
+}
+
+/**
+ * Inject trace context into axios requests made by the selected node types.
+ * axios is resolved from n8n's installation (next to n8n-core), so the interceptor
+ * lands on the instance n8n's request helpers use.
+ * @param {object} options
+ * @param {string[]} options.nodeTypes - Lower-case node types, or ['*'] for every node
+ * @returns {boolean} true when installed
+ */
+function installOutboundPropagation({ nodeTypes }) {
+  const paths = [];
+  try {
+    paths.push(path.dirname(require.resolve('n8n-core')));
+  } catch (e) {
+    // fall back to the default resolution
+  }
+  const axios = require(require.resolve('axios', { paths: paths.length ? paths : undefined }));
+  const allNodes = nodeTypes.includes('*');
+  axios.interceptors.request.use((config) => {
+    const ctx = context.active();
+    const nodeType = ctx.getValue(NODE_TYPE_KEY);
+    if (!nodeType || !(allNodes || nodeTypes.includes(nodeType))) return config;
+    const carrier = {};
+    propagation.inject(ctx, carrier);
+    if (Object.keys(carrier).length) setMissingHeaders(config, carrier);
+    return config;
+  });
+  return true;
+}
+
+module.exports = {
+  installInboundPropagation,
+  installOutboundPropagation,
+  extractTriggerContext,
+  setCurrentNode,
+  isWebhookRequest,
+  getWebhookEndpoints,
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * PII / secret redaction for captured span I/O.
+ *
+ * Captured values (node input/output items, workflow output, LLM messages)
+ * are passed through a redactor before they are serialized into span
+ * attributes. A redactor combines:
+ *   - built-in detectors that mask matching substrings in any string value
+ *   - custom regexes supplied by the user
+ *   - a JSON path denylist whose values are replaced entirely
+ *
+ * Denylist paths are evaluated against each captured item's JSON
+ * (e.g. "$.password", "$.headers.authorization", "$..apiKey").
+ */
+
+const { parseJsonPath, matchesPath } = require('./json-path');
+
+// Built-in detectors. Order matters: more specific shapes run first so that
+// e.g. a bearer token is not partially consumed by the generic API key rule.
+const BUILTIN_DETECTORS = {
+  bearer_token: { pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi },
+  api_key: {
+    pattern: new RegExp(
+      [
+        '\\b(?:sk|pk|rk)-(?:ant-|proj-|live-|test-)?[A-Za-z0-9_-]{16,}', // OpenAI / Anthropic / Stripe style
+        '\\bAKIA[0-9A-Z]{16}\\b', // AWS access key id
+        '\\bAIza[0-9A-Za-z_-]{35}\\b', // Google API key
+        '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b', // GitHub tokens
+        '\\bxox[abprs]-[A-Za-z0-9-]{10,}\\b', // Slack tokens
+        '\\beyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}', // JWT
+      ].join('|'),
+      'g',
+    ),
+  },
+  email: { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  credit_card: {
+    pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g,
+    validate: (match) => luhnCheck(match.replace(/\D/g, '')),
+  },
+  phone: {
+    pattern: /(?<![\w.+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{2,4}[\s.-]\d{2,6}(?![\w.])|\+\d{8,15}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    },
+  },
+};
+
+const DEFAULT_DETECTORS = Object.freeze(Object.keys(BUILTIN_DETECTORS));
+
+function luhnCheck(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Create a redactor.
+ *
+ * @param {object} options
+ * @param {string[]} [options.detectors] - Built-in detector names to enable (default: all)
+ * @param {Array<string|RegExp>} [options.patterns] - Additional regexes to mask
+ * @param {string[]} [options.denyPaths] - JSON paths whose values are replaced entirely
+ * @param {string} [options.replacement] - Replacement template; "{type}" is replaced by the detector name
+ * @returns {{ enabled: boolean, redact: (value: any) => any, redactText: (text: string) => string }}
+ */
+function createRedactor(options = {}) {
+  const replacement = options.replacement || '[REDACTED:{type}]';
+
+  const rules = [];
+  for (const name of options.detectors || DEFAULT_DETECTORS) {
+    const detector = BUILTIN_DETECTORS[name];
+    if (!detector) throw new Error(`Unknown redaction detector: ${name}`);
+    rules.push({ type: name, ...detector });
+  }
+  (options.patterns || []).forEach((p, idx) => {
+    const pattern = p instanceof RegExp ? new RegExp(p.source, p.flags.includes('g') ? p.flags : p.flags + 'g') : new RegExp(p, 'g');
+    rules.push({ type: `custom_${idx}`, pattern });
+  });
+
+  const denyPaths = (options.denyPaths || []).map((p) => parseJsonPath(p)).filter((s) => s.length);
+  const enabled = rules.length > 0 || denyPaths.length > 0;
+
+  function mask(type) {
+    return replacement.replace(/\{type\}/g, type);
+  }
+
+  function redactText(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let out = text;
+    for (const rule of rules) {
+      rule.pattern.lastIndex = 0;
+      out = out.replace(rule.pattern, (match) => {
+        if (rule.validate && !rule.validate(match)) return match;
+        return mask(rule.type);
+      });
+    }
+    return out;
+  }
+
+  function isDenied(location) {
+    for (const segments of denyPaths) {
+      if (matchesPath(segments, location)) return true;
+    }
+    return false;
+  }
+
+  function walk(value, location, seen) {
+    if (location.length && denyPaths.length && isDenied(location)) return mask('path');
+    if (value && typeof value.toJSON === 'function') value = value.toJSON();
+    if (typeof value === 'string') return redactText(value);
+    if (value == null || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+    let out;
+    if (Array.isArray(value)) {
+      out = value.map((child, idx) => walk(child, location.concat(idx), seen));
+    } else {
+      out = {};
+      for (const [key, child] of Object.entries(value)) {
+        out[key] = walk(child, location.concat(key), seen);
+      }
+    }
+    seen.delete(value);
+    return out;
+  }
+
+  /**
+   * Return a redacted deep copy of `value`. Non-plain values (class instances,
+   * Buffers, ...) are copied as plain objects, which matches how they are
+   * serialized into span attributes anyway.
+   *
+   * A top-level array is treated as a list of items: denylist paths are
+   * matched against each element rather than against the array itself.
+   */
+  function redact(value) {
+    if (!enabled) return value;
+    try {
+      if (Array.isArray(value)) return value.map((item) => walk(item, [], new WeakSet()));
+      return walk(value, [], new WeakSet());
+    } catch (e) {
+      // Never leak the raw value if redaction itself fails
+      return mask('error');
+    }
+  }
+
+  return { enabled, redact, redactText: (text) => (enabled ? redactText(text) : text) };
+}
+
+module.exports = { createRedactor, BUILTIN_DETECTORS, DEFAULT_DETECTORS };
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Trace context stored in an execution's custom data
+ * (runExecutionData.resultData.metadata, `$execution.customData` in
+ * expressions), which n8n saves with the execution and lists in its
+ * executions view.
+ *
+ * Every run records the ids of its workflow span, so workflows can read them
+ * (e.g. `{{ $execution.customData.get('otel_trace_id') }}`) and executions can
+ * be matched to their traces:
+ *
+ *   otel_trace_id       trace id of the workflow span
+ *   otel_span_id        span id of the workflow span
+ *   otel_trace_url      link to the trace, when a URL template is configured
+ *
+ * n8n persists an execution paused by a Wait node (or a form / approval
+ * wait) and resumes it later with a fresh processRunExecutionData() call,
+ * possibly in another process. The resumed run rebuilds the waiting run's
+ * span context from otel_trace_id / otel_span_id, which n8n saved with the
+ * execution (they are written when a run starts, before n8n saves it); no
+ * other key is used, as n8n keeps at most 10 custom data keys per execution.
+ *
+ * A run is a resume when the execution data is in n8n's wait state: waitTill
+ * still set (timed waits), or the Wait node put back on the stack disabled
+ * (webhook / form resumes clear waitTill first). Retries and other runs of
+ * copied execution data are not, whatever their custom data holds.
+ *
+ * Custom data values must be strings.
+ */
+
+const { TraceFlags, isValidTraceId, isValidSpanId } = require('@opentelemetry/api');
+
+const TRACE_ID_KEY = 'otel_trace_id';
+const SPAN_ID_KEY = 'otel_span_id';
+const TRACE_URL_KEY = 'otel_trace_url';
+
+function getCustomData(runExecutionData, create) {
+  const resultData = runExecutionData?.resultData;
+  if (!resultData || typeof resultData !== 'object') return undefined;
+  if (!resultData.metadata && create) resultData.metadata = {};
+  return resultData.metadata;
+}
+
+/**
+ * Fill a trace URL template: {traceId}, {spanId}, {executionId}, {workflowId}.
+ * @param {string} template
+ * @param {object} values
+ * @returns {string}
+ */
+function formatTraceUrl(template, values) {
+  return template.replace(/\{(traceId|spanId|executionId|workflowId)\}/g, (_, key) => encodeURIComponent(values[key] ?? ''));
+}
+
+/**
+ * Store the ids of the workflow span of a run, replacing those of earlier runs
+ * (resumed executions point at their latest run).
+ * @param {object} runExecutionData - IRunExecutionData
+ * @param {object} spanContext
+ * @param {object} [options]
+ * @param {string} [options.urlTemplate] - For otel_trace_url, see formatTraceUrl()
+ * @param {string} [options.executionId]
+ * @param {string} [options.workflowId]
+ */
+function saveTraceIds(runExecutionData, spanContext, { urlTemplate, executionId, workflowId } = {}) {
+  const customData = getCustomData(runExecutionData, true);
+  if (!customData) return;
+  customData[TRACE_ID_KEY] = spanContext.traceId;
+  customData[SPAN_ID_KEY] = spanContext.spanId;
+  if (urlTemplate) {
+    customData[TRACE_URL_KEY] = formatTraceUrl(urlTemplate, {
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId,
+      executionId,
+      workflowId,
+    });
+  }
+}
+
+/**
+ * Whether a run resumes an execution n8n saved waiting.
+ * @param {object} runExecutionData - IRunExecutionData, before the run starts
+ * @returns {boolean}
+ */
+function isWaitResume(runExecutionData) {
+  if (!runExecutionData || typeof runExecutionData !== 'object') return false;
+  if (runExecutionData.waitTill) return true;
+  const lastNodeExecuted = runExecutionData.resultData?.lastNodeExecuted;
+  const next = runExecutionData.executionData?.nodeExecutionStack?.[0]?.node;
+  return !!lastNodeExecuted && next?.name === lastNodeExecuted && next.disabled === true;
+}
+
+// End of the latest node run before the wait (epoch ms)
+function getWaitingSince(runExecutionData) {
+  let waitingSince;
+  for (const runs of Object.values(runExecutionData?.resultData?.runData || {})) {
+    for (const run of Array.isArray(runs) ? runs : []) {
+      const end = Number(run?.startTime) + (Number(run?.executionTime) || 0);
+      if (Number.isFinite(end) && end > 0 && !(end <= waitingSince)) waitingSince = end;
+    }
+  }
+  return waitingSince;
+}
+
+/**
+ * Trace context stored by the run that left this execution waiting.
+ * @param {object} runExecutionData - IRunExecutionData, before the run starts
+ * @returns {{ spanContext: object, waitingSince?: number } | undefined} undefined unless the run is a resume
+ */
+function readResumeContext(runExecutionData) {
+  if (!isWaitResume(runExecutionData)) return undefined;
+  const customData = getCustomData(runExecutionData, false);
+  const traceId = customData?.[TRACE_ID_KEY];
+  const spanId = customData?.[SPAN_ID_KEY];
+  if (!isValidTraceId(String(traceId)) || !isValidSpanId(String(spanId))) return undefined;
+  // Ids are only saved for recorded (sampled) runs
+  const spanContext = { traceId, spanId, traceFlags: TraceFlags.SAMPLED, isRemote: true };
+  return { spanContext, waitingSince: getWaitingSince(runExecutionData) };
+}
+
+/**
+ * When a finished run left the execution waiting.
+ * @param {object} result - IRun returned by processRunExecutionData
+ * @returns {Date|undefined}
+ */
+function getWaitTill(result) {
+  const waitTill = result?.waitTill ?? result?.data?.waitTill;
+  if (!waitTill) return undefined;
+  const date = waitTill instanceof Date ? waitTill : new Date(waitTill);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+module.exports = {
+  formatTraceUrl,
+  saveTraceIds,
+  isWaitResume,
+  readResumeContext,
+  getWaitTill,
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * OpenInference document attributes for RETRIEVER and RERANKER node spans.
+ *
+ *   retrieval.documents.N.document.{content,id,score,metadata}
+ *   reranker.input_documents.N.document.*, reranker.output_documents.N.document.*
+ *   reranker.query, reranker.top_k, reranker.model_name
+ *
+ * Documents are read from node items in the shapes n8n produces:
+ *   { document: { pageContent, metadata, id }, score }   vector store "get many"
+ *   { pageContent, metadata, id? }                       LangChain Document
+ *   { response | documents: [Document | [Document, score]] }
+ */
+
+// Item fields holding a list of documents
+const DOCUMENT_LIST_FIELDS = ['documents', 'response', 'docs'];
+
+function isDocument(value) {
+  return value != null && typeof value === 'object' && typeof value.pageContent === 'string';
+}
+
+function toDocument(doc, score) {
+  const metadata = doc.metadata && typeof doc.metadata === 'object' ? doc.metadata : undefined;
+  return {
+    content: doc.pageContent,
+    id: doc.id ?? metadata?.id,
+    score: typeof score === 'number' ? score : undefined,
+    metadata,
+  };
+}
+
+// A list entry is a Document or a [Document, score] tuple (similaritySearchWithScore)
+function fromListEntry(entry) {
+  if (Array.isArray(entry) && isDocument(entry[0])) return toDocument(entry[0], entry[1]);
+  if (isDocument(entry)) return toDocument(entry, entry.score ?? entry.metadata?.relevanceScore);
+  return undefined;
+}
+
+/**
+ * Extract documents from node item json.
+ * @param {object[]} items - Item json objects
+ * @returns {object[]} { content, id?, score?, metadata? }
+ */
+function extractDocuments(items) {
+  const documents = [];
+  for (const json of items || []) {
+    if (!json || typeof json !== 'object') continue;
+    if (isDocument(json.document)) {
+      documents.push(toDocument(json.document, json.score));
+      continue;
+    }
+    if (isDocument(json)) {
+      documents.push(toDocument(json, json.score ?? json.metadata?.relevanceScore));
+      continue;
+    }
+    for (const field of DOCUMENT_LIST_FIELDS) {
+      if (!Array.isArray(json[field])) continue;
+      documents.push(...json[field].map(fromListEntry).filter(Boolean));
+      break;
+    }
+  }
+  return documents;
+}
+
+function truncate(text, maxChars) {
+  if (!(maxChars > 0) || text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}...[truncated ${text.length - maxChars} chars]`;
+}
+
+/**
+ * Flatten documents into OpenInference attributes.
+ * @param {string} prefix - e.g. 'retrieval.documents'
+ * @param {object[]} documents
+ * @param {object} [limits]
+ * @param {number} [limits.maxDocuments=10]
+ * @param {number} [limits.maxContentChars=2000]
+ * @returns {object} attributes
+ */
+function documentsToAttributes(prefix, documents, { maxDocuments = 10, maxContentChars = 2000 } = {}) {
+  const attributes = {};
+  documents.slice(0, maxDocuments).forEach((doc, i) => {
+    const base = `${prefix}.${i}.document`;
+    attributes[`${base}.content`] = truncate(String(doc.content ?? ''), maxContentChars);
+    if (doc.id != null) attributes[`${base}.id`] = String(doc.id);
+    if (doc.score != null) attributes[`${base}.score`] = doc.score;
+    if (doc.metadata) {
+      try {
+        attributes[`${base}.metadata`] = JSON.stringify(doc.metadata);
+      } catch (e) {
+        // skip unserializable metadata
+      }
+    }
+  });
+  return attributes;
+}
+
+/**
+ * Reranker attributes from the node configuration and its input / output items.
+ * @param {object} node - The n8n node (parameters: modelName, topN, ...)
+ * @param {object[]} inputItems - Input item json
+ * @param {object[]} outputItems - Output item json
+ * @param {object} [limits] - See documentsToAttributes
+ * @returns {object} attributes
+ */
+function extractRerankerAttributes(node, inputItems, outputItems, limits) {
+  const parameters = node?.parameters || {};
+  const attributes = {
+    ...documentsToAttributes('reranker.input_documents', extractDocuments(inputItems), limits),
+    ...documentsToAttributes('reranker.output_documents', extractDocuments(outputItems), limits),
+  };
+  const query = (inputItems || []).map((json) => json?.query ?? json?.chatInput).find((q) => typeof q === 'string');
+  if (query) attributes['reranker.query'] = query;
+  const topK = Number(parameters.topN ?? parameters.topK ?? parameters.options?.topN);
+  if (Number.isFinite(topK) && topK > 0) attributes['reranker.top_k'] = topK;
+  const model = parameters.modelName ?? parameters.model;
+  if (typeof model === 'string' && model && !model.startsWith('=')) attributes['reranker.model_name'] = model;
+  return attributes;
+}
+
+module.exports = { extractDocuments, documentsToAttributes, extractRerankerAttributes };
@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * Per-workflow sampling for n8n traces.
+ *
+ * Head mode: the sampler decides when the workflow span starts, using the
+ * first matching rule's ratio and rate limit. Node spans and LangChain
+ * sub-spans follow the workflow span's decision.
+ *
+ * Tail mode: workflow spans with a ratio between 0 and 1 are always recorded,
+ * and TailSamplingSpanProcessor buffers the execution's spans until the
+ * workflow span ends. Errored or slow executions are always kept; the rest are
+ * sampled by ratio / rate limit. Rules with ratio 0 still drop at the head.
+ *
+ * Excluded workflows (exclusion rules: opt-out tags, regulated data, ...) are
+ * never recorded, not even as sub-workflows of a sampled execution.
+ *
+ * Decisions are recorded on workflow spans:
+ *   n8n.sampling.rule, n8n.sampling.ratio, n8n.sampling.mode, n8n.sampling.decision
+ */
+
+const { trace, isSpanContextValid, SpanStatusCode } = require('@opentelemetry/api');
+const { SamplingDecision } = require('@opentelemetry/sdk-trace-base');
+const { findMatchingRule } = require('./workflow-rules');
+
+// Workflow spans carry the workflow id but no node name
+function isWorkflowSpan(attributes) {
+  return attributes != null && attributes['n8n.workflow.id'] !== undefined && attributes['n8n.node.name'] === undefined;
+}
+
+/**
+ * Simple token bucket: `perMinute` tokens, refilled continuously.
+ */
+class RateLimiter {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.last = Date.now();
+  }
+
+  tryTake() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) * this.refillPerMs);
+    this.last = now;
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Resolve the policy (rule name, ratio, limiter) for a workflow.
+ */
+class SamplingPolicy {
+  /**
+   * @param {object} options
+   * @param {object[]} options.rules - Compiled workflow rules with `ratio` / `maxPerMinute`
+   * @param {number} [options.defaultRatio=1]
+   * @param {object[]} [options.excludeRules] - Compiled workflow rules of workflows never traced
+   */
+  constructor({ rules = [], defaultRatio = 1, excludeRules = [] }) {
+    this.rules = rules;
+    this.excludeRules = excludeRules;
+    this.defaultRatio = clampRatio(defaultRatio);
+    this.limiters = new Map();
+    for (const rule of rules) {
+      if (rule.maxPerMinute > 0) this.limiters.set(rule.name, new RateLimiter(Number(rule.maxPerMinute)));
+    }
+  }
+
+  resolve(attributes) {
+    const rule = findMatchingRule(this.rules, attributes);
+    if (!rule) return { name: 'default', ratio: this.defaultRatio, limiter: undefined };
+    return {
+      name: rule.name,
+      ratio: rule.ratio == null ? this.defaultRatio : clampRatio(rule.ratio),
+      limiter: this.limiters.get(rule.name),
+    };
+  }
+
+  /** The exclusion rule matching a workflow span, if any */
+  excluded(attributes) {
+    return findMatchingRule(this.excludeRules, attributes);
+  }
+
+  /** Probabilistic + rate-limited sampling decision for a resolved policy */
+  sample(policy) {
+    if (policy.ratio <= 0) return false;
+    if (policy.ratio < 1 && Math.random() >= policy.ratio) return false;
+    if (policy.limiter && !policy.limiter.tryTake()) return false;
+    return true;
+  }
+}
+
+function clampRatio(value) {
+  const n = Number(value);
+  if (Number.isNaN(n)) return 1;
+  return Math.min(1, Math.max(0, n));
+}
+
+/**
+ * Sampler applying workflow rules to workflow spans. Other spans follow their
+ * parent (or are sampled when they are roots, e.g. HTTP server spans).
+ */
+class WorkflowSampler {
+  /**
+   * @param {object} options
+   * @param {SamplingPolicy} options.policy
+   * @param {'head'|'tail'} [options.mode='head']
+   */
+  constructor({ policy, mode = 'head' }) {
+    this.policy = policy;
+    this.mode = mode;
+    // Traces that already had a workflow-level decision (sub-workflows follow it)
+    this.decidedTraces = new Set();
+  }
+
+  shouldSample(ctx, traceId, spanName, spanKind, attributes) {
+    const parent = trace.getSpanContext(ctx);
+    const hasParent = parent && isSpanContextValid(parent);
+    const parentSampled = hasParent ? (parent.traceFlags & 1) === 1 : true;
+
+    // Excluded workflows are dropped even inside a sampled trace
+    if (isWorkflowSpan(attributes) && this.policy.excluded(attributes)) {
+      return { decision: SamplingDecision.NOT_RECORD };
+    }
+    if (!isWorkflowSpan(attributes) || (hasParent && !parent.isRemote && this.decidedTraces.has(traceId))) {
+      return { decision: parentSampled ? SamplingDecision.RECORD_AND_SAMPLED : SamplingDecision.NOT_RECORD };
+    }
+    if (hasParent && !parentSampled) {
+      return { decision: SamplingDecision.NOT_RECORD };
+    }
+
+    this.rememberTrace(traceId);
+    const policy = this.policy.resolve(attributes);
+    const decisionAttributes = {
+      'n8n.sampling.rule': policy.name,
+      'n8n.sampling.ratio': policy.ratio,
+      'n8n.sampling.mode': this.mode,
+    };
+
+    if (this.mode === 'tail' && policy.ratio > 0 && (policy.ratio < 1 || policy.limiter)) {
+      // Record everything; TailSamplingSpanProcessor decides when the workflow ends
+      return {
+        decision: SamplingDecision.RECORD_AND_SAMPLED,
+        attributes: { ...decisionAttributes, 'n8n.sampling.decision': 'deferred' },
+      };
+    }
+
+    const sampled = this.policy.sample(policy);
+    return {
+      decision: sampled ? SamplingDecision.RECORD_AND_SAMPLED : SamplingDecision.NOT_RECORD,
+      attributes: { ...decisionAttributes, 'n8n.sampling.decision': sampled ? 'sampled' : 'dropped' },
+    };
+  }
+
+  rememberTrace(traceId) {
+    this.decidedTraces.add(traceId);
+    if (this.decidedTraces.size > 10000) {
+      this.decidedTraces.delete(this.decidedTraces.values().next().value);
+    }
+  }
+
+  toString() {
+    return `WorkflowSampler{mode=${this.mode}}`;
+  }
+}
+
+/**
+ * Buffers spans of executions whose sampling decision was deferred, and
+ * forwards or drops them once the outermost workflow span of the trace ends.
+ */
+class TailSamplingSpanProcessor {
+  /**
+   * @param {object} options
+   * @param {import('@opentelemetry/sdk-trace-base').SpanProcessor} options.downstream - Processor receiving kept spans
+   * @param {SamplingPolicy} options.policy
+   * @param {number} [options.slowMs=30000] - Executions at least this long are always kept
+   * @param {number} [options.maxSpansPerTrace=5000] - Beyond this the trace is kept without further buffering
+   * @param {number} [options.maxTraces=1000] - Concurrent buffered traces; extra traces are passed through
+   * @param {number} [options.maxAgeMs=3600000] - Buffers older than this are flushed (kept)
+   */
+  constructor({ downstream, policy, slowMs = 30000, maxSpansPerTrace = 5000, maxTraces = 1000, maxAgeMs = 3600000 }) {
+    this.downstream = downstream;
+    this.policy = policy;
+    this.slowMs = slowMs;
+    this.maxSpansPerTrace = maxSpansPerTrace;
+    this.maxTraces = maxTraces;
+    this.maxAgeMs = maxAgeMs;
+    // traceId -> { spans, openWorkflows, startedAt }
+    this.buffers = new Map();
+    // traceId -> boolean (kept), for spans ending after the decision
+    this.decided = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), 60000);
+    this.sweepTimer.unref?.();
+  }
+
+  onStart(span, parentContext) {
+    const attributes = span.attributes;
+    if (isWorkflowSpan(attributes) && attributes['n8n.sampling.decision'] === 'deferred') {
+      const traceId = span.spanContext().traceId;
+      let buffer = this.buffers.get(traceId);
+      if (!buffer) {
+        if (this.buffers.size >= this.maxTraces) {
+          span.setAttribute('n8n.sampling.decision', 'kept_buffer_full');
+        } else {
+          buffer = { spans: [], openWorkflows: 0, startedAt: Date.now() };
+          this.buffers.set(traceId, buffer);
+        }
+      }
+      if (buffer) buffer.openWorkflows += 1;
+    }
+    this.downstream.onStart(span, parentContext);
+  }
+
+  /** Whether the keep / drop decision of a trace is still pending */
+  isPending(traceId) {
+    return this.buffers.has(traceId);
+  }
+
+  onEnd(span) {
+    const traceId = span.spanContext().traceId;
+    const buffer = this.buffers.get(traceId);
+    if (!buffer) {
+      if (this.decided.get(traceId) === false) return;
+      this.downstream.onEnd(span);
+      return;
+    }
+
+    buffer.spans.push(span);
+    if (buffer.spans.length > this.maxSpansPerTrace) {
+      this.finish(traceId, buffer, true, 'kept_overflow');
+      return;
+    }
+
+    if (isWorkflowSpan(span.attributes) && span.attributes['n8n.sampling.decision'] === 'deferred') {
+      buffer.openWorkflows -= 1;
+      if (buffer.openWorkflows <= 0) this.decide(traceId, buffer, span);
+    }
+  }
+
+  decide(traceId, buffer, rootSpan) {
+    const errored = buffer.spans.some((s) => s.status?.code === SpanStatusCode.ERROR);
+    const durationMs = hrTimeToMs(rootSpan.duration);
+    let keep;
+    let reason;
+    if (errored) {
+      keep = true;
+      reason = 'kept_error';
+    } else if (durationMs >= this.slowMs) {
+      keep = true;
+      reason = 'kept_slow';
+    } else {
+      keep = this.policy.sample(this.policy.resolve(rootSpan.attributes));
+      reason = keep ? 'sampled' : 'dropped';
+    }
+    this.finish(traceId, buffer, keep, reason);
+  }
+
+  finish(traceId, buffer, keep, reason) {
+    this.buffers.delete(traceId);
+    this.decided.set(traceId, keep);
+    if (this.decided.size > 10000) this.decided.delete(this.decided.keys().next().value);
+    if (!keep) return;
+    for (const span of buffer.spans) {
+      if (isWorkflowSpan(span.attributes) && span.attributes['n8n.sampling.decision'] === 'deferred') {
+        // Spans are already ended (read-only API); annotate the exported attributes directly
+        span.attributes['n8n.sampling.decision'] = reason;
+      }
+      this.downstream.onEnd(span);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [traceId, buffer] of this.buffers) {
+      if (now - buffer.startedAt > this.maxAgeMs) this.finish(traceId, buffer, true, 'kept_timeout');
+    }
+  }
+
+  async forceFlush() {
+    await this.downstream.forceFlush();
+  }
+
+  async shutdown() {
+    clearInterval(this.sweepTimer);
+    for (const [traceId, buffer] of this.buffers) this.finish(traceId, buffer, true, 'kept_shutdown');
+    await this.downstream.shutdown();
+  }
+}
+
+function hrTimeToMs(hrTime) {
+  if (!Array.isArray(hrTime)) return 0;
+  return hrTime[0] * 1e3 + hrTime[1] / 1e6;
+}
+
+module.exports = { SamplingPolicy, WorkflowSampler, TailSamplingSpanProcessor, isWorkflowSpan };
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Resolves OpenInference `session.id` / `user.id` for an execution through a
+ * configurable chain of strategies. The first strategy that yields a value wins.
+ *
+ * Strategies:
+ *   chat_trigger        sessionId (or metadata.userId / userId) emitted by the Chat Trigger / chat webhook
+ *   memory_session_key  `sessionKey` parameter of memory nodes (literal, or a simple $json / $('Node') expression)
+ *   path                user-supplied JSON path or expression into the trigger item
+ *   n8n_user            the n8n user that started the execution (user.id only)
+ *   execution           the execution id (session.id only; always resolves)
+ */
+
+const { getByPath } = require('./json-path');
+const { listWorkflowNodes, getNodeRunItems } = require('./execution-data');
+
+const DEFAULT_STRATEGIES = Object.freeze({
+  session: ['chat_trigger', 'memory_session_key', 'path', 'execution'],
+  user: ['chat_trigger', 'path', 'n8n_user'],
+});
+
+/**
+ * Turn a user-supplied JSON path or simple n8n expression into a lookup.
+ *   "$.body.sessionId"                      -> trigger item path
+ *   "{{ $json.body.sessionId }}"            -> trigger item path
+ *   "={{ $('Webhook').item.json.user.id }}" -> path into the named node's first output item
+ * @param {string} expression
+ * @returns {{ nodeName?: string, path: string } | undefined}
+ */
+function parseLookupExpression(expression) {
+  if (!expression || typeof expression !== 'string') return undefined;
+  let expr = expression.trim().replace(/^=/, '');
+  const braces = expr.match(/^\{\{\s*(.*?)\s*\}\}$/);
+  if (braces) expr = braces[1];
+
+  const nodeRef = expr.match(/^\$\(\s*(['"])(.+?)\1\s*\)\.(?:item|first\(\))\.json(.*)$/);
+  if (nodeRef) return { nodeName: nodeRef[2], path: '$' + nodeRef[3] };
+  if (expr.startsWith('$json')) return { path: '$' + expr.slice('$json'.length) };
+  if (expr.startsWith('$')) return { path: expr };
+  return undefined;
+}
+
+function toId(value) {
+  if (value == null || value === '') return undefined;
+  if (typeof value === 'string' || typeof value === 'number') return String(value);
+  return undefined;
+}
+
+function lookup(parsed, ctx) {
+  if (!parsed) return undefined;
+  if (parsed.nodeName) {
+    const items = getNodeRunItems(ctx.runExecutionData, parsed.nodeName);
+    return toId(getByPath(items[0], parsed.path));
+  }
+  return toId(getByPath(ctx.triggerItem, parsed.path));
+}
+
+const STRATEGIES = {
+  chat_trigger(kind, ctx) {
+    const item = ctx.triggerItem;
+    if (!item || typeof item !== 'object') return undefined;
+    if (kind === 'session') return toId(item.sessionId);
+    return toId(item.metadata?.userId ?? item.userId);
+  },
+
+  memory_session_key(kind, ctx) {
+    if (kind !== 'session') return undefined;
+    for (const node of listWorkflowNodes(ctx.workflow)) {
+      if (!/memory/i.test(node?.type || '') || node.disabled) continue;
+      const key = node.parameters?.sessionKey;
+      if (typeof key !== 'string' || !key) continue;
+      if (!key.startsWith('=')) return key;
+      const value = lookup(parseLookupExpression(key), ctx);
+      if (value) return value;
+    }
+    return undefined;
+  },
+
+  path(kind, ctx, options) {
+    return lookup(options.lookup, ctx);
+  },
+
+  n8n_user(kind, ctx) {
+    if (kind !== 'user') return undefined;
+    return toId(ctx.userId);
+  },
+
+  execution(kind, ctx) {
+    if (kind !== 'session') return undefined;
+    return toId(ctx.executionId);
+  },
+};
+
+/**
+ * Create a resolver for session or user ids.
+ * @param {object} options
+ * @param {'session'|'user'} options.kind
+ * @param {string[]} [options.strategies] - Strategy names, in priority order
+ * @param {string} [options.path] - JSON path / expression for the `path` strategy
+ * @returns {(ctx: { triggerItem?: object, workflow?: object, runExecutionData?: object, executionId?: string, userId?: string }) => { value: string, source: string } | undefined}
+ */
+function createIdResolver({ kind, strategies, path }) {
+  const chain = strategies && strategies.length ? strategies : DEFAULT_STRATEGIES[kind];
+  for (const name of chain) {
+    if (!STRATEGIES[name]) throw new Error(`Unknown ${kind} id strategy: ${name}`);
+  }
+  const options = { lookup: parseLookupExpression(path) };
+
+  return function resolve(ctx) {
+    for (const name of chain) {
+      try {
+        const value = STRATEGIES[name](kind, ctx, options);
+        if (value) return { value, source: name };
+      } catch (e) {
+        // A broken strategy must never break the execution; try the next one
+      }
+    }
+    return undefined;
+  };
+}
+
+module.exports = { createIdResolver, parseLookupExpression, DEFAULT_STRATEGIES };
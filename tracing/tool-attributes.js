@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * OpenInference tool attributes for TOOL node spans (ToolWorkflow,
+ * ToolExecutor, ...) and AI Agent Tool nodes (AgentTool):
+ *
+ *   tool.name         the node name (the name agents call the tool by)
+ *   tool.description  the tool description configured on the node
+ *   tool.parameters   JSON schema of the tool's inputs
+ *   tool_call.id      id of the tool call in the calling LLM / AGENT span's
+ *                     llm.output_messages.*.tool_calls
+ *
+ * The input schema is derived from, in order: an explicit JSON schema
+ * (Code tool `inputSchema`), a JSON example (`jsonSchemaExample`), sub-workflow
+ * inputs (`workflowInputs.schema`), or `$fromAI()` placeholders in parameters.
+ *
+ * V3 agents return an EngineRequest ({ actions: [{ id, nodeName, input }] })
+ * and n8n then runs each requested tool node; ToolCallRegistry carries the
+ * action ids from the agent's span to the tool node spans.
+ */
+
+const { normalizeNodeType } = require('./openinference-mapper');
+
+// Agent tool nodes that are not mapped to the TOOL span kind (AI Agent Tool is an AGENT)
+const TOOL_NODE_NAMES = new Set(['agenttool']);
+
+const FROM_AI_PATTERN = /\$fromAI\(\s*(['"`])(.+?)\1\s*(?:,\s*(['"`])(.*?)\3\s*)?(?:,\s*(['"`])(\w+)\5\s*)?/g;
+
+const FROM_AI_TYPES = { string: 'string', number: 'number', boolean: 'boolean', json: 'object' };
+
+function isToolNode(node, spanKind) {
+  if (spanKind === 'TOOL') return true;
+  return typeof node?.type === 'string' && TOOL_NODE_NAMES.has(normalizeNodeType(node.type).name);
+}
+
+function jsonType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'object') return 'object';
+  return 'string';
+}
+
+function schemaFromExample(example) {
+  if (!example || typeof example !== 'object' || Array.isArray(example)) return { type: jsonType(example) };
+  const properties = {};
+  for (const [key, value] of Object.entries(example)) {
+    properties[key] = value && typeof value === 'object' && !Array.isArray(value) ? schemaFromExample(value) : { type: jsonType(value) };
+  }
+  return { type: 'object', properties };
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value.startsWith('=') ? value.slice(1) : value);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function collectFromAi(value, properties, required) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(FROM_AI_PATTERN)) {
+      const [, , key, , description, , type] = match;
+      if (properties[key]) continue;
+      properties[key] = { type: FROM_AI_TYPES[String(type || 'string').toLowerCase()] || 'string' };
+      if (description) properties[key].description = description;
+      required.push(key);
+    }
+  } else if (value && typeof value === 'object') {
+    for (const child of Object.values(value)) collectFromAi(child, properties, required);
+  }
+}
+
+/**
+ * JSON schema of a tool node's inputs.
+ * @param {object} parameters - Node parameters
+ * @returns {object|undefined}
+ */
+function buildToolParametersSchema(parameters) {
+  if (!parameters) return undefined;
+
+  if (parameters.specifyInputSchema !== false) {
+    const schema = parseJson(parameters.inputSchema);
+    if (schema && typeof schema === 'object') return schema;
+    const example = parseJson(parameters.jsonSchemaExample);
+    if (example && typeof example === 'object') return schemaFromExample(example);
+  }
+
+  const workflowInputs = parameters.workflowInputs?.schema;
+  if (Array.isArray(workflowInputs) && workflowInputs.length) {
+    const properties = {};
+    const required = [];
+    for (const input of workflowInputs) {
+      if (!input?.id || input.removed) continue;
+      properties[input.id] = { type: input.type && input.type !== 'any' ? input.type : 'string' };
+      if (input.required) required.push(input.id);
+    }
+    return { type: 'object', properties, ...(required.length ? { required } : {}) };
+  }
+
+  const properties = {};
+  const required = [];
+  collectFromAi(parameters, properties, required);
+  if (Object.keys(properties).length) return { type: 'object', properties, required };
+  return undefined;
+}
+
+/**
+ * Tool attributes from the node configuration.
+ * @param {object} node
+ * @param {(value: any) => any} [resolve] - Resolves n8n expressions (tool descriptions)
+ * @returns {object} attributes
+ */
+function extractToolAttributes(node, resolve = (v) => v) {
+  const attributes = { 'tool.name': node?.name || 'unknown' };
+  const parameters = node?.parameters || {};
+  const description = parameters.toolDescription ?? parameters.description;
+  if (typeof description === 'string' && description) {
+    const resolved = resolve(description);
+    attributes['tool.description'] = typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+  }
+  const schema = buildToolParametersSchema(parameters);
+  if (schema) attributes['tool.parameters'] = JSON.stringify(schema);
+  return attributes;
+}
+
+/**
+ * Tool calls requested by a V3 agent's EngineRequest.
+ * @param {object} engineRequest - { actions: [{ id, nodeName, input }] }
+ * @returns {object[]} [{ id, name, arguments }]
+ */
+function getEngineRequestToolCalls(engineRequest) {
+  const actions = Array.isArray(engineRequest?.actions) ? engineRequest.actions : [];
+  return actions
+    .filter((action) => action && action.nodeName)
+    .map((action) => ({ id: action.id, name: action.nodeName, arguments: action.input ?? {} }));
+}
+
+/**
+ * Pending tool calls of one execution: registered when an agent returns an
+ * EngineRequest, claimed when n8n runs the requested tool node.
+ */
+class ToolCallRegistry {
+  constructor() {
+    // nodeName -> [{ id, arguments, spanContext }]
+    this.pending = new Map();
+  }
+
+  /**
+   * @param {object[]} toolCalls - From getEngineRequestToolCalls()
+   * @param {object} spanContext - Span context of the requesting agent span
+   */
+  register(toolCalls, spanContext) {
+    for (const call of toolCalls) {
+      const list = this.pending.get(call.name) || [];
+      list.push({ id: call.id, arguments: call.arguments, spanContext });
+      this.pending.set(call.name, list);
+    }
+  }
+
+  /**
+   * Claim the pending call for a tool node, preferring the one whose arguments
+   * match the node's input.
+   * @param {string} nodeName
+   * @param {object} [input] - The tool node's input item json
+   * @returns {object|undefined} { id, arguments, spanContext }
+   */
+  claim(nodeName, input) {
+    const list = this.pending.get(nodeName);
+    if (!list || !list.length) return undefined;
+    let index = 0;
+    if (input !== undefined) {
+      const key = JSON.stringify(input);
+      const exact = list.findIndex((call) => JSON.stringify(call.arguments) === key);
+      if (exact !== -1) index = exact;
+    }
+    const [call] = list.splice(index, 1);
+    if (!list.length) this.pending.delete(nodeName);
+    return call;
+  }
+}
+
+module.exports = {
+  isToolNode,
+  buildToolParametersSchema,
+  extractToolAttributes,
+  getEngineRequestToolCalls,
+  ToolCallRegistry,
+};
@@ -49,12 +49,50 @@ const winston = require('winston')
 const {
   trace,
   context,
+  createContextKey,
   SpanStatusCode,
   SpanKind,
+  TraceFlags,
+  ROOT_CONTEXT,
+  isValidTraceId,
+  isValidSpanId,
 } = require('@opentelemetry/api')
 const { flatten } = require('flat') // flattens objects into a single level
 const { envDetector, hostDetector, processDetector } = require('@opentelemetry/resources')
-const { mapNodeToSpanKind } = require('./openinference-mapper')
+const { createSpanKindMapper, loadSpanKindRules } = require('./openinference-mapper')
+const { extractLlmInvocationAttributes, extractResponseModel, extractTokenCounts } = require('./llm-attributes')
+const { PriceTable, loadPriceFile, UsageTotals, CostSpanProcessor } = require('./llm-cost')
+const { buildInputMessages, buildOutputMessages, limitMessages, messagesToAttributes } = require('./llm-messages')
+const { extractDocuments, documentsToAttributes, extractRerankerAttributes } = require('./retrieval-attributes')
+const { extractEmbeddingModelAttributes, extractEmbeddingAttributes } = require('./embedding-attributes')
+const { isToolNode, extractToolAttributes, getEngineRequestToolCalls, ToolCallRegistry } = require('./tool-attributes')
+const { createRedactor, DEFAULT_DETECTORS } = require('./redaction')
+const { createIdResolver } = require('./session-resolver')
+const { collectMainItems, getStartNodeExecution, resolveNodeParameter } = require('./execution-data')
+const { DEFAULT_HEADER_ALLOWLIST, buildTriggerInput } = require('./trigger-input')
+const {
+  installInboundPropagation,
+  installOutboundPropagation,
+  extractTriggerContext,
+  setCurrentNode,
+} = require('./propagation')
+const { extractErrorAttributes, getFailedExecution } = require('./error-attributes')
+const { getMaxTries, getErrorHandling, getErrorItems, errorMessage, NodeAttempts } = require('./node-outcome')
+const { extractInputGraphAttributes, extractOutputGraphAttributes } = require('./graph-attributes')
+const { normalizeAnnotation, applyAnnotation } = require('./annotations')
+const { extractWorkflowAttributes } = require('./workflow-attributes')
+const { readResumeContext, getWaitTill, saveTraceIds } = require('./resume-context')
+const { loadWorkflowRules, compileWorkflowRule } = require('./workflow-rules')
+const { ProjectRouter, ProjectRoutingSpanProcessor, parseModeProjects } = require('./project-routing')
+const { SamplingPolicy, WorkflowSampler, TailSamplingSpanProcessor } = require('./sampling')
+const { createN8nMetrics } = require('./metrics')
+const {
+  buildGrpcMetadata,
+  loadDestinations,
+  buildDestinationProcessors,
+  FanOutSpanProcessor,
+} = require('./destinations')
+const { FileSpanExporter } = require('./file-exporter')
 
 // Helper to parse boolean env vars
 function envBool(name, def = false) {
@@ -64,6 +102,13 @@ function envBool(name, def = false) {
   return def
 }
 
+// Helper to parse comma-separated env vars into a list (undefined when unset)
+function envList(name) {
+  const v = (process.env[name] ?? '').toString().trim()
+  if (!v) return undefined
+  return v.split(',').map((s) => s.trim()).filter(Boolean)
+}
+
 // Logs are opt-in. Respect OTEL_LOGS_EXPORTER=otlp as spec; otherwise allow a custom toggle.
 function shouldEnableOtelLogs() {
   const logsExporter = (process.env.OTEL_LOGS_EXPORTER || '').toLowerCase()
@@ -82,6 +127,16 @@ const MAP_OPENINFERENCE_SPAN_KINDS = envBool(
   'TRACING_MAP_OPENINFERENCE_SPAN_KINDS',
   true,
 )
+// User span kind rules (JSON / YAML) applied before the built-in mapping
+const SPAN_KIND_MAPPER = createSpanKindMapper({
+  rules: loadSpanKindRules({
+    json: getEnv('TRACING_SPAN_KIND_RULES', '', false),
+    file: getEnv('TRACING_SPAN_KIND_RULES_FILE', '', false),
+  }),
+})
+// If true, record which mapping rule chose each node's span kind (log + n8n.span_kind.rule)
+const SPAN_KIND_REPORT = envBool('TRACING_SPAN_KIND_REPORT', DEBUG)
+const reportedNodeTypes = new Set()
 // If true, incorporate OpenInference span kind into node span name: n8n.node.<kind>.execute
 const SPAN_KIND_IN_NODE_SPAN_NAME = envBool(
   'TRACING_SPAN_KIND_IN_NODE_SPAN_NAME',
@@ -103,6 +158,86 @@ const INSTRUMENT_LANGCHAIN = envBool('TRACING_INSTRUMENT_LANGCHAIN', true)
 // Capture workflow & node input/output content for OpenInference enrichment
 const CAPTURE_IO = envBool('TRACING_CAPTURE_INPUT_OUTPUT', true)
 const MAX_IO_CHARS = parseInt(process.env.TRACING_MAX_IO_CHARS || '12000', 10)
+// Webhook headers kept in the workflow span's input.value ('*' keeps all)
+const TRIGGER_HEADER_ALLOWLIST = (envList('TRACING_TRIGGER_HEADERS') || DEFAULT_HEADER_ALLOWLIST).map((h) => h.toLowerCase())
+// Document capture for RETRIEVER / RERANKER spans (retrieval.documents, reranker.*_documents)
+const DOCUMENT_LIMITS = {
+  maxDocuments: parseInt(process.env.TRACING_RETRIEVAL_MAX_DOCUMENTS || '10', 10),
+  maxContentChars: parseInt(process.env.TRACING_RETRIEVAL_MAX_DOCUMENT_CHARS || '2000', 10),
+}
+// LLM / AGENT spans: input messages kept (leading system messages plus the most recent)
+const MAX_INPUT_MESSAGES = parseInt(process.env.TRACING_MAX_INPUT_MESSAGES || '20', 10)
+// EMBEDDING spans: embedded texts always, vectors only on opt-in (they are large)
+const EMBEDDING_OPTIONS = {
+  includeVectors: envBool('TRACING_EMBEDDING_VECTORS', false),
+  maxEmbeddings: parseInt(process.env.TRACING_EMBEDDING_MAX_COUNT || '10', 10),
+  maxDimensions: parseInt(process.env.TRACING_EMBEDDING_MAX_DIMENSIONS || '3072', 10),
+}
+// Node run index, source nodes, item counts and pairedItem lineage on node spans, plus links
+// to the spans of the source node runs
+const CAPTURE_NODE_GRAPH = envBool('TRACING_NODE_GRAPH', true)
+// Redaction of captured I/O (applied before values are written to span attributes)
+const REDACTOR = buildRedactor()
+
+// session.id / user.id resolution chains (see session-resolver.js)
+const SESSION_ID_RESOLVER = createIdResolver({
+  kind: 'session',
+  strategies: envList('TRACING_SESSION_ID_STRATEGIES'),
+  path: getEnv('TRACING_SESSION_ID_PATH', '', false),
+})
+const USER_ID_RESOLVER = createIdResolver({
+  kind: 'user',
+  strategies: envList('TRACING_USER_ID_STRATEGIES'),
+  path: getEnv('TRACING_USER_ID_PATH', '', false),
+})
+
+// Workflow / node / token metrics (exported when OTEL_METRICS_EXPORTER is otlp or prometheus)
+const N8N_METRICS = createN8nMetrics()
+
+// Per-execution tracing state (workflow span + currently running node spans), keyed by
+// execution id. Used to nest sub-workflow executions under the calling node span.
+const executionStates = new Map()
+// Recently finished executions, so late (async) sub-workflows can still link to them.
+const recentExecutions = new Map()
+const MAX_RECENT_EXECUTIONS = 500
+// Tail sampling span processor (TRACING_SAMPLING_MODE=tail), set when the SDK starts
+let tailSampling
+
+// W3C trace context propagation: continue callers' traces from webhook headers (inbound) and
+// send traceparent / tracestate / baggage from the listed node types' HTTP calls (outbound)
+const PROPAGATION_INBOUND = envBool('TRACING_PROPAGATION_INBOUND', true)
+const PROPAGATION_OUTBOUND = envBool('TRACING_PROPAGATION_OUTBOUND', true)
+const PROPAGATION_OUTBOUND_NODES = (envList('TRACING_PROPAGATION_OUTBOUND_NODES') || [
+  'n8n-nodes-base.httpRequest',
+  'n8n-nodes-base.httpRequestTool',
+  '@n8n/n8n-nodes-langchain.toolHttpRequest',
+]).map((t) => t.toLowerCase())
+
+// Trace / span ids of sampled executions in their custom data (otel_trace_id, otel_span_id), plus
+// otel_trace_url from a template such as https://my-backend/trace/{traceId}
+const EXECUTION_TRACE_IDS = envBool('TRACING_EXECUTION_TRACE_IDS', true)
+const TRACE_URL_TEMPLATE = getEnv('TRACING_TRACE_URL_TEMPLATE', '', false)
+
+// Executions resumed after a Wait node: 'continue' the trace of the run that started waiting,
+// 'link' to it from a new trace, or 'off'
+const RESUME_MODE = ['continue', 'link', 'off']
+  .find((mode) => mode === getEnv('TRACING_RESUME_MODE', 'continue', false).toLowerCase()) || 'continue'
+
+// Sampling: 'head' (decide at workflow start) or 'tail' (decide when the workflow span ends)
+const SAMPLING_MODE = getEnv('TRACING_SAMPLING_MODE', 'head', false).toLowerCase() === 'tail' ? 'tail' : 'head'
+const SAMPLING_DEFAULT_RATIO = parseFloat(process.env.TRACING_SAMPLING_DEFAULT_RATIO || '1')
+const SAMPLING_SLOW_MS = parseInt(process.env.TRACING_SAMPLING_SLOW_MS || '30000', 10)
+
+// Local JSONL file export (offline debugging). Enabled when a directory is set.
+const FILE_EXPORT_DIR = getEnv('TRACING_FILE_EXPORT_DIR', '', false)
+// If true, write spans only to files and skip the network exporter(s)
+const FILE_EXPORT_ONLY = envBool('TRACING_FILE_EXPORT_ONLY', false)
+
+// LLM cost estimation: llm.cost.* on LLM spans, per-execution totals on workflow spans
+const COST_ESTIMATION = envBool('TRACING_COST_ESTIMATION', true)
+const PRICE_TABLE = new PriceTable(loadPriceFile(getEnv('TRACING_COST_PRICES_FILE', '', false)))
+// Carries the running execution's UsageTotals to the cost span processor
+const USAGE_TOTALS_KEY = createContextKey('n8n.tracing.usage_totals')
 
 // Arize configuration
 const ARIZE_SPACE_ID = getEnv('ARIZE_SPACE_ID', '', false)
@@ -157,6 +292,52 @@ function safeJSONStringify(obj) {
   }
 }
 
+/**
+ * Build the I/O redactor from TRACING_REDACTION_* env vars.
+ *
+ * TRACING_REDACTION_DETECTORS: comma list of built-in detectors, "all" or "none" (default)
+ * TRACING_REDACTION_PATTERNS:  JSON array of additional regex strings
+ * TRACING_REDACTION_PATHS:     comma list of JSON paths to replace entirely (e.g. $.password)
+ * TRACING_REDACTION_REPLACEMENT: replacement template, "{type}" = detector name
+ */
+function buildRedactor() {
+  const detectorsEnv = getEnv('TRACING_REDACTION_DETECTORS', 'none', false).trim().toLowerCase()
+  let detectors = []
+  if (detectorsEnv === 'all') {
+    detectors = DEFAULT_DETECTORS
+  } else if (detectorsEnv && detectorsEnv !== 'none') {
+    detectors = detectorsEnv.split(',').map((d) => d.trim()).filter(Boolean)
+  }
+
+  let patterns = []
+  const patternsEnv = getEnv('TRACING_REDACTION_PATTERNS', '', false)
+  if (patternsEnv) {
+    try {
+      patterns = JSON.parse(patternsEnv)
+      if (!Array.isArray(patterns)) throw new Error('expected a JSON array of strings')
+    } catch (e) {
+      // Fail closed: a broken pattern list must not silently disable redaction
+      throw new Error(`Invalid TRACING_REDACTION_PATTERNS: ${e.message}`)
+    }
+  }
+
+  const denyPaths = getEnv('TRACING_REDACTION_PATHS', '', false)
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean)
+
+  const redactor = createRedactor({
+    detectors,
+    patterns,
+    denyPaths,
+    replacement: getEnv('TRACING_REDACTION_REPLACEMENT', '', false) || undefined,
+  })
+  if (redactor.enabled) {
+    console.log(`${LOGPREFIX}: I/O redaction enabled (detectors: ${detectors.join(',') || 'none'}, custom patterns: ${patterns.length}, paths: ${denyPaths.length})`)
+  }
+  return redactor
+}
+
 function truncateIO(str) {
   if (str == null) return ''
   if (typeof str !== 'string') str = String(str)
@@ -166,6 +347,56 @@ function truncateIO(str) {
   )
 }
 
+// Message contents / tool arguments: redact, then truncate
+function formatMessageText(text) {
+  return truncateIO(REDACTOR.redactText(text))
+}
+
+/**
+ * Set llm.input_messages on an LLM / AGENT node span: system prompt, memory
+ * history, user message and tool results (see llm-messages.js).
+ *
+ * Called after the node ran, as memory history and tool results are only
+ * recorded into runData while the node executes.
+ */
+function recordInputMessages(span, { node, nodeInput, workflow, runExecutionData, executionData, runIndex, mode, engineResponse, outputItems }) {
+  try {
+    const items = executionData?.data?.main?.[0] || []
+    const messages = buildInputMessages({
+      node,
+      inputData: Array.isArray(nodeInput) ? nodeInput[0] : nodeInput,
+      workflow,
+      runExecutionData,
+      engineResponse,
+      outputItems,
+      resolve: (value) => resolveNodeParameter(workflow, value, { runExecutionData, runIndex, node, items, mode }),
+    })
+    if (!messages.length) return
+    const limited = limitMessages(messages, MAX_INPUT_MESSAGES)
+    span.setAttributes(messagesToAttributes('llm.input_messages', limited.messages, formatMessageText))
+    if (limited.dropped) span.setAttribute('n8n.llm.input_messages.dropped', limited.dropped)
+  } catch (e) {
+    if (DEBUG) console.warn(`${LOGPREFIX}: Failed to record input messages`, e)
+  }
+}
+
+/**
+ * Set document attributes on RETRIEVER (retrieval.documents) and RERANKER
+ * (reranker.input_documents / output_documents / query / top_k / model_name) spans.
+ */
+function recordDocumentAttributes(span, spanKind, node, nodeInput, documentItems) {
+  try {
+    if (spanKind === 'RETRIEVER') {
+      span.setAttributes(documentsToAttributes('retrieval.documents', extractDocuments(documentItems), DOCUMENT_LIMITS))
+    } else if (spanKind === 'RERANKER') {
+      const inputItems = nodeInput == null ? [] : [].concat(nodeInput)
+      span.setAttributes(extractRerankerAttributes(node, inputItems, documentItems, DOCUMENT_LIMITS))
+    }
+  } catch (e) {
+    if (DEBUG) console.warn(`${LOGPREFIX}: Failed to record document attributes`, e)
+  }
+}
+
 /**
  * Extract the actual resolved input data flowing into a node.
  *
@@ -178,7 +409,8 @@ function truncateIO(str) {
 function extractNodeInputFromExecutionData(executionData) {
   try {
     // executionData.data is ITaskDataConnections: { main?: INodeExecutionData[][] }
-    const mainInputs = executionData?.data?.main
+    // Tool nodes run for a V3 agent receive the tool call arguments on ai_tool
+    const mainInputs = executionData?.data?.main || executionData?.data?.ai_tool
     if (!mainInputs || !mainInputs.length) return undefined
 
     // Collect items from all input connections
@@ -191,9 +423,10 @@ function extractNodeInputFromExecutionData(executionData) {
     }
     if (!allItems.length) return undefined
 
+    const redacted = REDACTOR.redact(allItems)
     // For single-item input, return it directly for cleaner display
-    if (allItems.length === 1) return allItems[0]
-    return allItems
+    if (redacted.length === 1) return redacted[0]
+    return redacted
   } catch (e) {
     return { _error: String(e) }
   }
@@ -207,10 +440,30 @@ function extractNodeInputFromExecutionData(executionData) {
  *   where data[0] = first output connection items, data[1] = second, etc.
  *   Each item has { json: {...}, binary?: {...} }
  *
+ * For RETRIEVER / RERANKER spans the (redacted) items holding documents are
+ * returned as `documentItems`, bounded by DOCUMENT_LIMITS rather than the
+ * 10-item preview. EMBEDDING spans get all items as `embeddingItems` (vectors
+ * are numeric, so they skip redaction).
+ *
  * @param {object} result - The IRunNodeResponse from runNode
+ * @param {string} [spanKind] - OpenInference span kind of the node
  * @returns {object|undefined} The output data object, or undefined if none
  */
-function extractNodeOutput(result) {
+/**
+ * Token usage of an LLM / agent node run, for the token metrics. Read from the run's
+ * first output item whether or not the span is sampled.
+ * @returns {{ model?: string, counts: object } | undefined}
+ */
+function extractNodeTokenUsage(result, configuredModel) {
+  const connections = Array.isArray(result?.data) ? result.data : result?.data?.main
+  const first = (Array.isArray(connections) ? connections : []).flat().find((item) => item?.json)?.json
+  if (!first) return undefined
+  const counts = extractTokenCounts(first)
+  if (!Object.keys(counts).length) return undefined
+  return { model: extractResponseModel(first) || configuredModel, counts }
+}
+
+function extractNodeOutput(result, spanKind) {
   try {
     if (!result) return undefined
 
@@ -246,8 +499,10 @@ function extractNodeOutput(result) {
       return undefined
     }
 
+    const items = REDACTOR.redact(allItems.slice(0, 10)) // limit items for size
+
     // Extract primary output text for convenience
-    const first = allItems[0]
+    const first = items[0]
     let primary
     if (first && typeof first === 'object') {
       primary =
@@ -258,7 +513,14 @@ function extractNodeOutput(result) {
         first.response ||
         undefined
     }
-    return { primary, items: allItems.slice(0, 10) } // limit items for size
+    if (spanKind === 'RETRIEVER' || spanKind === 'RERANKER') {
+      const documentItems = REDACTOR.redact(allItems.slice(0, DOCUMENT_LIMITS.maxDocuments))
+      return { primary, items, documentItems }
+    }
+    if (spanKind === 'EMBEDDING') {
+      return { primary, items, embeddingItems: allItems }
+    }
+    return { primary, items }
   } catch (e) {
     return { _error: String(e) }
   }
@@ -287,6 +549,12 @@ if (!ONLY_WORKFLOW_SPANS) {
   console.log(`${LOGPREFIX}: TRACING_ONLY_WORKFLOW_SPANS=true -> auto-instrumentations DISABLED (no HTTP/DB spans)`)
 }
 
+// Without the HTTP server instrumentation, continue webhook callers' traces ourselves
+if (PROPAGATION_INBOUND && ONLY_WORKFLOW_SPANS) {
+  installInboundPropagation()
+  console.log(`${LOGPREFIX}: Inbound trace context propagation enabled for webhook requests`)
+}
+
 // Setup n8n telemetry
 console.log(`${LOGPREFIX}: Setting up n8n telemetry`)
 setupN8nOpenTelemetry()
@@ -345,9 +613,334 @@ process.on('warning', (warning) => {
   }
 })
 
-// Helper: derive a session id. For now we treat each execution as its own session.
-function deriveSessionId(executionId) {
-  return executionId || 'unknown'
+/**
+ * Resolve session.id / user.id for an execution via the configured strategy chains.
+ * Sub-workflows that only fall back to their own execution id inherit the parent's ids,
+ * so an agent's tool sub-workflows stay in the conversation's session.
+ */
+function resolveExecutionIdentity({ triggerItem, workflow, runExecutionData, executionId, userId, parentState }) {
+  const ctx = { triggerItem, workflow, runExecutionData, executionId, userId }
+  let session = SESSION_ID_RESOLVER(ctx) || { value: executionId || 'unknown', source: 'execution' }
+  let user = USER_ID_RESOLVER(ctx)
+  if (parentState) {
+    if (session.source === 'execution' && parentState.sessionId) {
+      session = { value: parentState.sessionId, source: 'parent_execution' }
+    }
+    if (!user && parentState.userId) {
+      user = { value: parentState.userId, source: 'parent_execution' }
+    }
+  }
+  return {
+    sessionId: session.value,
+    sessionSource: session.source,
+    userId: user?.value,
+    userSource: user?.source,
+  }
+}
+
+/**
+ * Record the trigger payload on the workflow span (n8n.trigger.* and, when I/O capture
+ * is on, input.value). Called with the start node found at workflow start, or with the
+ * first node run when the payload wasn't on the execution stack yet.
+ */
+function recordTriggerInput(state, start) {
+  if (state.triggerRecorded || !start?.items?.length) return
+  state.triggerRecorded = true
+  const input = buildTriggerInput(start, { headerAllowlist: TRIGGER_HEADER_ALLOWLIST })
+  if (!input) return
+  state.span.setAttribute('n8n.trigger.type', input.type)
+  const nodeName = start.node?.name || start.nodeName
+  if (nodeName) state.span.setAttribute('n8n.trigger.node', nodeName)
+  if (!CAPTURE_IO) return
+  try {
+    const value = input.mimeType === 'text/plain'
+      ? REDACTOR.redactText(input.value)
+      : safeJSONStringify(REDACTOR.redact(input.value))
+    state.span.setAttribute('input.value', truncateIO(value))
+    state.span.setAttribute('input.mime_type', input.mimeType)
+  } catch (e) {
+    if (DEBUG) console.warn(`${LOGPREFIX}: Failed to capture trigger input`, e)
+  }
+}
+
+/**
+ * Late identity resolution: when the trigger payload wasn't available at workflow
+ * start (not on the execution stack yet), resolve again with the first node's input
+ * and update the workflow span.
+ */
+function refineExecutionIdentity(state, executionData, workflow, runExecutionData, additionalData) {
+  if (state.identityRefined) return
+  state.identityRefined = true
+  if (state.hadTriggerItem) return
+  const triggerItem = executionData?.data?.main?.[0]?.[0]?.json
+  if (!triggerItem) return
+  const identity = resolveExecutionIdentity({
+    triggerItem,
+    workflow,
+    runExecutionData,
+    executionId: state.executionId,
+    userId: additionalData?.userId,
+    parentState: state.parentState,
+  })
+  if (identity.sessionId !== state.sessionId) {
+    state.sessionId = identity.sessionId
+    state.sessionSource = identity.sessionSource
+    state.span.setAttribute('session.id', identity.sessionId)
+    state.span.setAttribute('n8n.session_id.source', identity.sessionSource)
+  }
+  if (identity.userId && identity.userId !== state.userId) {
+    state.userId = identity.userId
+    state.span.setAttribute('user.id', identity.userId)
+    state.span.setAttribute('n8n.user_id.source', identity.userSource)
+  }
+}
+
+// Look up tracing state for a running (or recently finished) execution.
+function getExecutionState(executionId) {
+  if (!executionId) return undefined
+  return executionStates.get(executionId) || recentExecutions.get(executionId)
+}
+
+/**
+ * Execution mode attributes of a WorkflowExecute run.
+ * - n8n.execution.mode: WorkflowExecute.mode
+ * - n8n.execution.retry_of: execution retried by this one, when n8n exposes it on the execution hooks
+ * - n8n.execution.partial / n8n.execution.destination_node: editor runs up to a node ("Execute step")
+ */
+function buildExecutionModeAttributes(workflowExecute) {
+  const attributes = {}
+  const mode = workflowExecute?.mode
+  if (typeof mode === 'string' && mode) attributes['n8n.execution.mode'] = mode
+  const additionalData = workflowExecute?.additionalData
+  const retryOf = additionalData?.hooks?.retryOf ?? additionalData?.retryOf
+  if (retryOf != null && retryOf !== '') attributes['n8n.execution.retry_of'] = String(retryOf)
+  const startData = workflowExecute?.runExecutionData?.startData
+  const destination = startData?.destinationNode
+  const destinationNode = typeof destination === 'string' ? destination : destination?.nodeName
+  if (destinationNode || startData?.runNodeFilter) {
+    attributes['n8n.execution.partial'] = true
+    if (destinationNode) attributes['n8n.execution.destination_node'] = destinationNode
+  }
+  return attributes
+}
+
+// Annotation values come from workflow data (expressions): redact them like captured I/O
+function redactAnnotation(annotation) {
+  if (!REDACTOR.enabled) return annotation
+  return {
+    ...annotation,
+    metadata: REDACTOR.redact(annotation.metadata),
+    tags: annotation.tags.map((tag) => REDACTOR.redactText(tag)),
+    events: annotation.events.map((event) => ({ ...event, attributes: REDACTOR.redact(event.attributes) })),
+    feedback: annotation.feedback.map((entry) => ({
+      ...entry,
+      label: REDACTOR.redactText(entry.label),
+      explanation: REDACTOR.redactText(entry.explanation),
+    })),
+  }
+}
+
+/**
+ * Annotate a span from a running workflow (Trace Annotate node, exposed as global.__n8nTracing.annotate).
+ * - target 'workflow': the workflow span of the execution; userId / sessionId also apply to its later node spans
+ * - target 'node': the span of the annotating node (nodeName)
+ * - target 'trace': a new n8n.annotation span under traceId / spanId, e.g. feedback for an earlier execution,
+ *   exported to `project` when project routing no longer knows the trace's project
+ * @param {object} request - { executionId, workflowId, nodeName, target, traceId, spanId, project } plus the annotation fields
+ * @returns {{ traceId: string, spanId: string } | undefined} the annotated span, undefined when it isn't traced
+ */
+function annotateSpan({ executionId, workflowId, nodeName, target = 'workflow', traceId, spanId, project, ...fields }) {
+  const annotation = redactAnnotation(normalizeAnnotation(fields))
+
+  if (target === 'trace') {
+    if (!isValidTraceId(String(traceId)) || !isValidSpanId(String(spanId))) {
+      throw new TypeError('traceId (32 hex characters) and spanId (16 hex characters) are required')
+    }
+    const parentContext = trace.setSpanContext(ROOT_CONTEXT, {
+      traceId: String(traceId),
+      spanId: String(spanId),
+      traceFlags: TraceFlags.SAMPLED,
+      isRemote: true,
+    })
+    const span = trace.getTracer('n8n-instrumentation', '1.0.0').startSpan('n8n.annotation', {
+      kind: SpanKind.INTERNAL,
+      attributes: {
+        'openinference.span.kind': 'CHAIN',
+        'n8n.annotation.execution.id': String(executionId ?? 'unknown'),
+        'n8n.annotation.workflow.id': String(workflowId ?? 'unknown'),
+        // Arize project of the annotated trace, when project routing no longer remembers it
+        ...(project ? { 'n8n.annotation.project': String(project) } : {}),
+      },
+    }, parentContext)
+    applyAnnotation(span, annotation)
+    span.end()
+    return { traceId: span.spanContext().traceId, spanId: span.spanContext().spanId }
+  }
+
+  const state = executionStates.get(executionId)
+  const span = target === 'node'
+    ? state?.openNodeSpans.find((entry) => entry.name === nodeName)?.span
+    : state?.span
+  if (!span || !span.isRecording()) return undefined
+  applyAnnotation(span, annotation)
+  if (target === 'workflow') {
+    // Set by the workflow itself: not overridden by identity resolution
+    if (annotation.sessionId !== undefined || annotation.userId !== undefined) state.identityRefined = true
+    if (annotation.sessionId !== undefined) {
+      state.sessionId = annotation.sessionId
+      state.sessionSource = 'annotation'
+      span.setAttribute('n8n.session_id.source', 'annotation')
+    }
+    if (annotation.userId !== undefined) {
+      state.userId = annotation.userId
+      span.setAttribute('n8n.user_id.source', 'annotation')
+    }
+  }
+  return { traceId: span.spanContext().traceId, spanId: span.spanContext().spanId }
+}
+
+// Move an execution's state to the bounded "recently finished" map.
+function retireExecutionState(state) {
+  if (executionStates.get(state.executionId) === state) {
+    executionStates.delete(state.executionId)
+  }
+  recentExecutions.delete(state.executionId)
+  recentExecutions.set(state.executionId, state)
+  if (recentExecutions.size > MAX_RECENT_EXECUTIONS) {
+    recentExecutions.delete(recentExecutions.keys().next().value)
+  }
+}
+
+/**
+ * Resolve the parent execution of a sub-workflow run (Execute Workflow node,
+ * ToolWorkflow agent tool). Newer n8n versions record it on runExecutionData,
+ * older ones only on additionalData.
+ * @returns {{ executionId: string, workflowId?: string } | undefined}
+ */
+function resolveParentExecution(workflowExecute) {
+  const parent =
+    workflowExecute?.runExecutionData?.parentExecution ||
+    workflowExecute?.additionalData?.parentExecution
+  if (!parent?.executionId) return undefined
+  return { executionId: String(parent.executionId), workflowId: parent.workflowId }
+}
+
+/**
+ * Decide how a sub-workflow's span relates to its parent execution.
+ *
+ * - Already running inside the parent's trace (synchronous call): keep the active context.
+ * - Parent node span still running in this process: nest under that node span.
+ * - Otherwise (async call, context lost): start from the active context and add a span link.
+ *
+ * @returns {{ parentContext: import('@opentelemetry/api').Context, links: object[], attributes: object }}
+ */
+function resolveSubWorkflowParent(parentExecution) {
+  const activeCtx = context.active()
+  const result = { parentContext: activeCtx, links: [], attributes: {} }
+  if (!parentExecution) return result
+
+  result.attributes['n8n.parent_execution.id'] = parentExecution.executionId
+  if (parentExecution.workflowId) {
+    result.attributes['n8n.parent_workflow.id'] = String(parentExecution.workflowId)
+  }
+
+  const parentState = getExecutionState(parentExecution.executionId)
+  if (!parentState) {
+    if (DEBUG) console.debug(`${LOGPREFIX}: parent execution ${parentExecution.executionId} not traced in this process`)
+    return result
+  }
+
+  const callingNode = parentState.openNodeSpans[parentState.openNodeSpans.length - 1]
+  if (callingNode) result.attributes['n8n.parent_node.name'] = callingNode.name
+
+  const activeSpanContext = trace.getSpanContext(activeCtx)
+  const parentSpanContext = parentState.span.spanContext()
+  if (activeSpanContext && activeSpanContext.traceId === parentSpanContext.traceId) {
+    return result
+  }
+  if (callingNode && !parentState.ended) {
+    result.parentContext = trace.setSpan(activeCtx, callingNode.span)
+    return result
+  }
+  result.links.push({
+    context: parentState.lastNodeSpanContext || parentSpanContext,
+    attributes: { 'n8n.link.type': 'parent_execution' },
+  })
+  return result
+}
+
+/**
+ * Webhook executions without an active parent span: continue the caller's trace from the
+ * traceparent in the trigger item's headers (queue mode workers, inbound propagation off
+ * at the HTTP server). Sub-workflows keep their parent execution.
+ */
+function resolveInboundParent(parent, triggerItem, isSubWorkflow) {
+  if (!PROPAGATION_INBOUND || isSubWorkflow) return parent
+  const active = trace.getSpanContext(parent.parentContext)
+  if (active) {
+    // Continued by the HTTP layer (server span or inbound request propagation)
+    if (!active.isRemote) return parent
+    return { ...parent, attributes: { ...parent.attributes, 'n8n.trace.parent': 'request' } }
+  }
+  const extracted = extractTriggerContext(parent.parentContext, triggerItem)
+  if (!extracted) return parent
+  return { ...parent, parentContext: extracted, attributes: { ...parent.attributes, 'n8n.trace.parent': 'trigger_headers' } }
+}
+
+/**
+ * Resumed executions (Wait node, form / approval waits): continue the trace of the run
+ * that started waiting, or link to it (TRACING_RESUME_MODE). Sub-workflows keep their
+ * parent execution as parent and only link.
+ * @returns {{ parentContext, links: object[], attributes: object, resume?: object }}
+ */
+function resolveResumeParent(runExecutionData, parent, isSubWorkflow) {
+  if (RESUME_MODE === 'off') return parent
+  const resume = readResumeContext(runExecutionData)
+  if (!resume) return parent
+  const attributes = { ...parent.attributes, 'n8n.execution.resumed': true }
+  if (resume.waitingSince) attributes['n8n.wait.duration_ms'] = Math.max(0, Date.now() - resume.waitingSince)
+  const waitNode = runExecutionData?.resultData?.lastNodeExecuted
+  if (waitNode) attributes['n8n.wait.node'] = waitNode
+  if (RESUME_MODE === 'continue' && !isSubWorkflow) {
+    return { ...parent, attributes, resume, parentContext: trace.setSpanContext(parent.parentContext, resume.spanContext) }
+  }
+  const link = { context: resume.spanContext, attributes: { 'n8n.link.type': 'resumed_from' } }
+  return { ...parent, attributes, resume, links: [...parent.links, link] }
+}
+
+/**
+ * Error Trigger executions: link back to the failed execution's workflow span and to
+ * the node span that failed, when that execution was traced in this process.
+ * @returns {{ links: object[], attributes: object }}
+ */
+function resolveFailedExecutionLinks(startExecution) {
+  const result = { links: [], attributes: {} }
+  const failed = getFailedExecution(startExecution)
+  if (!failed) return result
+  result.attributes['n8n.failed_execution.id'] = failed.executionId
+  if (failed.workflowId) result.attributes['n8n.failed_workflow.id'] = failed.workflowId
+  if (failed.lastNodeExecuted) result.attributes['n8n.failed_node.name'] = failed.lastNodeExecuted
+  const failedState = getExecutionState(failed.executionId)
+  if (!failedState) {
+    if (DEBUG) console.debug(`${LOGPREFIX}: failed execution ${failed.executionId} not traced in this process`)
+    return result
+  }
+  result.links.push({ context: failedState.span.spanContext(), attributes: { 'n8n.link.type': 'failed_execution' } })
+  if (failedState.failedNodeSpanContext) {
+    result.links.push({ context: failedState.failedNodeSpanContext, attributes: { 'n8n.link.type': 'failed_node' } })
+  }
+  return result
+}
+
+/**
+ * Attributes for a failed workflow: the error, and the Error Workflow n8n runs for it
+ * (settings.errorWorkflow; n8n skips it for manual executions).
+ */
+function buildWorkflowErrorAttributes(error, workflow, mode) {
+  const attributes = extractErrorAttributes(error, { includeDetails: CAPTURE_IO, mapText: formatMessageText })
+  const errorWorkflow = workflow?.settings?.errorWorkflow
+  if (errorWorkflow && mode !== 'manual') attributes['n8n.error_workflow.id'] = String(errorWorkflow)
+  return attributes
 }
 
 ////////////////////////////////////////////////////////////
@@ -450,15 +1043,134 @@ function buildTraceExporter() {
 }
 
 /**
- * Build gRPC Metadata object from a plain headers object.
+ * Build the span processor that exports finished spans.
+ *
+ * With TRACING_DESTINATIONS / TRACING_DESTINATIONS_FILE set, spans fan out to every
+ * configured destination (each with its own protocol, headers, compression and filter).
+ * Otherwise the single exporter from buildTraceExporter() is used.
+ * TRACING_FILE_EXPORT_DIR adds a local JSONL file exporter alongside (or, with
+ * TRACING_FILE_EXPORT_ONLY=true, instead of) the network exporter(s).
+ */
+function buildTraceSpanProcessor() {
+  const processors = FILE_EXPORT_ONLY ? [] : buildNetworkSpanProcessors()
+  if (FILE_EXPORT_DIR) {
+    const fileExporter = new FileSpanExporter({
+      directory: FILE_EXPORT_DIR,
+      maxBytes: parseInt(process.env.TRACING_FILE_EXPORT_MAX_BYTES || '10485760', 10),
+      maxFiles: parseInt(process.env.TRACING_FILE_EXPORT_MAX_FILES || '10', 10),
+    })
+    processors.push(new opentelemetry.tracing.BatchSpanProcessor(fileExporter))
+    console.log(`${LOGPREFIX}: File exporter -> ${FILE_EXPORT_DIR}${FILE_EXPORT_ONLY ? ' (network export disabled)' : ''}`)
+  } else if (FILE_EXPORT_ONLY) {
+    console.warn(`${LOGPREFIX}: TRACING_FILE_EXPORT_ONLY=true but TRACING_FILE_EXPORT_DIR is not set - spans will not be exported`)
+  }
+  return processors.length === 1 ? processors[0] : new FanOutSpanProcessor(processors)
+}
+
+function buildNetworkSpanProcessors() {
+  const destinations = loadDestinations({
+    json: getEnv('TRACING_DESTINATIONS', '', false),
+    file: getEnv('TRACING_DESTINATIONS_FILE', '', false),
+  })
+  if (!destinations.length) {
+    return [new opentelemetry.tracing.BatchSpanProcessor(buildTraceExporter())]
+  }
+
+  const processors = buildDestinationProcessors(destinations, {
+    spaceId: ARIZE_SPACE_ID,
+    apiKey: ARIZE_API_KEY,
+    protocol: ARIZE_PROTOCOL,
+    endpoint: ARIZE_ENDPOINT,
+  })
+  for (const d of destinations) {
+    const filter = d.filter ? ` filter=${JSON.stringify(d.filter)}` : ''
+    console.log(`${LOGPREFIX}: Trace destination "${d.name}" (${d.type || 'otlp'}/${d.protocol || (d.type === 'arize' ? ARIZE_PROTOCOL : 'http')})${filter}`)
+  }
+  return processors
+}
+
+/**
+ * Workflows that are never traced, including their node and LangChain spans:
+ * - TRACING_EXCLUDE_TAGS: workflow tags (default no-trace; set it empty to disable)
+ * - TRACING_DROP_MODES: execution modes, e.g. manual editor runs
+ * - TRACING_EXCLUDE_RULES / TRACING_EXCLUDE_RULES_FILE: workflow rules, e.g.
+ *   [{ "tag": "pii" }, { "n8nProject": "Legal" }, { "setting": { "saveDataSuccessExecution": "none" } }]
  */
-function buildGrpcMetadata(headers) {
-  const grpc = require('@grpc/grpc-js')
-  const metadata = new grpc.Metadata()
-  for (const [key, value] of Object.entries(headers)) {
-    metadata.add(key, value)
+function buildExclusionRules() {
+  const rules = loadWorkflowRules({
+    json: getEnv('TRACING_EXCLUDE_RULES', '', false),
+    file: getEnv('TRACING_EXCLUDE_RULES_FILE', '', false),
+    label: 'TRACING_EXCLUDE_RULES',
+  })
+  if (rules.length) console.log(`${LOGPREFIX}: Exclusion rules: ${rules.length}`)
+  const excludeTags = (process.env.TRACING_EXCLUDE_TAGS ?? 'no-trace').split(',').map((t) => t.trim()).filter(Boolean)
+  if (excludeTags.length) {
+    rules.unshift(compileWorkflowRule({ name: 'exclude-tags', tag: excludeTags }, 0))
+    console.log(`${LOGPREFIX}: Not tracing workflows tagged: ${excludeTags.join(', ')}`)
   }
-  return metadata
+  const dropModes = envList('TRACING_DROP_MODES')
+  if (dropModes?.length) {
+    rules.unshift(compileWorkflowRule({ name: 'drop-modes', mode: dropModes }, 0))
+    console.log(`${LOGPREFIX}: Not tracing executions in mode: ${dropModes.join(', ')}`)
+  }
+  return rules
+}
+
+/**
+ * Route traces to other Arize projects, ahead of the export processor:
+ * - TRACING_PROJECT_RULES / TRACING_PROJECT_RULES_FILE: workflow rules with a project, e.g.
+ *   [{ "tag": "team-support", "project": "support" }, { "n8nProject": "Growth", "project": "growth" }]
+ * - TRACING_MODE_PROJECTS: by execution mode, e.g. manual={project}-dev
+ */
+function buildProjectRouting(exportProcessor) {
+  const router = new ProjectRouter({
+    defaultProject: ARIZE_PROJECT_NAME,
+    rules: loadWorkflowRules({
+      json: getEnv('TRACING_PROJECT_RULES', '', false),
+      file: getEnv('TRACING_PROJECT_RULES_FILE', '', false),
+      label: 'TRACING_PROJECT_RULES',
+    }),
+    modeProjects: parseModeProjects(envList('TRACING_MODE_PROJECTS') || []),
+  })
+  if (!router.enabled) return exportProcessor
+  for (const rule of router.rules) {
+    console.log(`${LOGPREFIX}: Project rule "${rule.name}" -> ${rule.project.replace(/\{project\}/g, ARIZE_PROJECT_NAME)}`)
+  }
+  for (const [mode, project] of Object.entries(router.modeProjects)) {
+    console.log(`${LOGPREFIX}: Routing ${mode} executions to project ${project}`)
+  }
+  return new ProjectRoutingSpanProcessor({ downstream: exportProcessor, router })
+}
+
+/**
+ * Build the per-workflow sampler and, in tail mode, the buffering span processor.
+ *
+ * Rules come from TRACING_SAMPLING_RULES (inline JSON array) and/or
+ * TRACING_SAMPLING_RULES_FILE, e.g.:
+ *   [{ "name": "cron-sync", "workflowName": "^Sync ", "ratio": 0.05, "maxPerMinute": 10 }]
+ */
+function buildSampling(exportProcessor) {
+  const rules = loadWorkflowRules({
+    json: getEnv('TRACING_SAMPLING_RULES', '', false),
+    file: getEnv('TRACING_SAMPLING_RULES_FILE', '', false),
+    label: 'TRACING_SAMPLING_RULES',
+  })
+  const policy = new SamplingPolicy({ rules, defaultRatio: SAMPLING_DEFAULT_RATIO, excludeRules: buildExclusionRules() })
+  const sampler = new WorkflowSampler({ policy, mode: SAMPLING_MODE })
+
+  let spanProcessor = exportProcessor
+  if (SAMPLING_MODE === 'tail') {
+    spanProcessor = tailSampling = new TailSamplingSpanProcessor({
+      downstream: spanProcessor,
+      policy,
+      slowMs: SAMPLING_SLOW_MS,
+      maxSpansPerTrace: parseInt(process.env.TRACING_SAMPLING_TAIL_MAX_SPANS || '5000', 10),
+      maxTraces: parseInt(process.env.TRACING_SAMPLING_TAIL_MAX_TRACES || '1000', 10),
+    })
+  }
+
+  console.log(`${LOGPREFIX}: Sampling mode: ${SAMPLING_MODE}, default ratio: ${policy.defaultRatio}, rules: ${rules.length}`)
+  return { sampler, spanProcessors: [spanProcessor] }
 }
 
 /**
@@ -470,7 +1182,14 @@ function setupOpenTelemetryNodeSDK() {
     'openinference.project.name': ARIZE_PROJECT_NAME,
   }
 
-  const traceExporter = buildTraceExporter()
+  const { sampler, spanProcessors } = buildSampling(buildProjectRouting(buildTraceSpanProcessor()))
+  if (COST_ESTIMATION) {
+    // First, so llm.cost.* is on LLM spans before they are sampled / exported
+    spanProcessors.unshift(new CostSpanProcessor({
+      priceTable: PRICE_TABLE,
+      getTotals: (parentContext) => parentContext.getValue(USAGE_TOTALS_KEY),
+    }))
+  }
 
   const sdkOptions = {
     resourceDetectors: [
@@ -479,7 +1198,8 @@ function setupOpenTelemetryNodeSDK() {
       awaitAttributes(hostDetector),
     ],
     resource: resourceFromAttributes(resourceAttrs),
-    traceExporter,
+    sampler,
+    spanProcessors,
   }
 
   // Log configuration for debugging
@@ -548,7 +1268,7 @@ function setupWinstonLogger(logLevel = 'info') {
  * - openinference.span.kind: CHAIN (for workflow) or mapped kind (for nodes)
  * - input.value / output.value: Captured I/O
  * - input.mime_type / output.mime_type: application/json
- * - session.id: Execution-derived session
+ * - session.id: Resolved conversation session (falls back to the execution id)
  * - metadata: JSON string of n8n-specific attributes
  */
 function setupN8nOpenTelemetry() {
@@ -559,6 +1279,18 @@ function setupN8nOpenTelemetry() {
     // Import n8n core modules
     const { WorkflowExecute } = require('n8n-core')
 
+    // Trace Annotate node (nodes/TraceAnnotate.node.js) reaches the spans through this API
+    global.__n8nTracing = { annotate: annotateSpan }
+
+    if (PROPAGATION_OUTBOUND) {
+      try {
+        installOutboundPropagation({ nodeTypes: PROPAGATION_OUTBOUND_NODES })
+        console.log(`${LOGPREFIX}: Outbound trace context propagation enabled for: ${PROPAGATION_OUTBOUND_NODES.join(', ')}`)
+      } catch (e) {
+        console.warn(`${LOGPREFIX}: Outbound trace context propagation not available: ${e.message}`)
+      }
+    }
+
     /**
      * Patch the workflow execution
      *
@@ -567,7 +1299,7 @@ function setupN8nOpenTelemetry() {
      * OpenInference attributes:
      * - openinference.span.kind: CHAIN
      * - input.value / output.value: workflow I/O
-     * - session.id: execution-derived session ID
+     * - session.id: resolved session ID (see resolveExecutionIdentity)
      * - metadata: JSON of workflow details
      */
     const originalProcessRun = WorkflowExecute.prototype.processRunExecutionData
@@ -583,7 +1315,18 @@ function setupN8nOpenTelemetry() {
         this?.workflowExecuteAdditionalData?.executionId ||
         this?.additionalData?.executionId ||
         'unknown'
-      const sessionId = deriveSessionId(executionId)
+      const parentExecution = resolveParentExecution(this)
+      const parentState = getExecutionState(parentExecution?.executionId)
+      const startExecution = getStartNodeExecution(this?.runExecutionData, wfData)
+      const identity = resolveExecutionIdentity({
+        triggerItem: startExecution?.items?.[0],
+        workflow: wfData,
+        runExecutionData: this?.runExecutionData,
+        executionId,
+        userId: this?.additionalData?.userId,
+        parentState,
+      })
+      const { sessionId } = identity
 
       // n8n-specific attributes (kept for debugging / metadata)
       const n8nAttributes = {
@@ -591,6 +1334,11 @@ function setupN8nOpenTelemetry() {
         'n8n.workflow.name': workflowName,
         'n8n.execution.id': executionId,
       }
+      // How the execution started: manual, trigger, webhook, retry, cli, evaluation, chat, integrated, ...
+      Object.assign(n8nAttributes, buildExecutionModeAttributes(this))
+      // Tags, version, project and graph hashes; the workflow record comes from the execution hooks.
+      // Tags are used by sampling rules
+      Object.assign(n8nAttributes, extractWorkflowAttributes(wfData, this?.additionalData?.hooks?.workflowData))
 
       // Flatten workflow settings as metadata
       const settingsFlat = flatten(wfData?.settings ?? {}, {
@@ -602,8 +1350,12 @@ function setupN8nOpenTelemetry() {
       const workflowAttributes = {
         // Required: span kind
         'openinference.span.kind': 'CHAIN',
-        // Session
+        // Session / user
         'session.id': sessionId,
+        'n8n.session_id.source': identity.sessionSource,
+        ...(identity.userId
+          ? { 'user.id': identity.userId, 'n8n.user_id.source': identity.userSource }
+          : {}),
         // n8n context
         ...n8nAttributes,
         ...settingsFlat,
@@ -612,6 +1364,9 @@ function setupN8nOpenTelemetry() {
           'n8n.workflow.id': workflowId,
           'n8n.workflow.name': workflowName,
           'n8n.execution.id': executionId,
+          'n8n.execution.mode': n8nAttributes['n8n.execution.mode'],
+          'n8n.workflow.version_id': n8nAttributes['n8n.workflow.version_id'],
+          'n8n.project.name': n8nAttributes['n8n.project.name'],
         }),
       }
 
@@ -662,10 +1417,69 @@ function setupN8nOpenTelemetry() {
         executionId,
         sessionId,
       })
-      const span = tracer.startSpan(workflowSpanName, {
-        attributes: workflowAttributes,
-        kind: SpanKind.INTERNAL,
-      })
+      // Sub-workflows: nest under the calling node span, or link to it if nesting isn't possible
+      // Webhook callers' trace context; resumed executions continue / link the run that started waiting
+      const workflowParent = resolveResumeParent(
+        this?.runExecutionData,
+        resolveInboundParent(resolveSubWorkflowParent(parentExecution), startExecution?.items?.[0], !!parentExecution),
+        !!parentExecution,
+      )
+      Object.assign(workflowAttributes, workflowParent.attributes)
+      // Error Trigger workflows: link to the execution that failed
+      const failedExecution = resolveFailedExecutionLinks(startExecution)
+      Object.assign(workflowAttributes, failedExecution.attributes)
+
+      const span = tracer.startSpan(
+        workflowSpanName,
+        {
+          attributes: workflowAttributes,
+          kind: SpanKind.INTERNAL,
+          links: [...workflowParent.links, ...failedExecution.links],
+        },
+        workflowParent.parentContext,
+      )
+
+      const executionState = {
+        executionId,
+        workflowId,
+        span,
+        sessionId,
+        sessionSource: identity.sessionSource,
+        userId: identity.userId,
+        hadTriggerItem: !!startExecution,
+        identityRefined: false,
+        parentState,
+        openNodeSpans: [],
+        lastNodeSpanContext: undefined,
+        // Tool calls requested by V3 agents, claimed by the tool node spans
+        toolCalls: new ToolCallRegistry(),
+        triggerRecorded: false,
+        // Attempts of nodes with Retry On Fail
+        nodeAttempts: new NodeAttempts(),
+        failedNodeSpanContext: undefined,
+        // Node runs in execution order, and the span of each run ('name#runIndex')
+        nodeRunCount: 0,
+        nodeRunSpans: new Map(),
+        // LLM tokens and cost, filled by the cost span processor
+        usage: new UsageTotals(),
+        ended: false,
+      }
+      if (executionId !== 'unknown') executionStates.set(executionId, executionState)
+      recordTriggerInput(executionState, startExecution)
+      // Readable from expressions ($execution.customData) and saved with the execution; a run
+      // resumed after a Wait node continues from them. Not while tail sampling may still drop the trace.
+      if (EXECUTION_TRACE_IDS && span.isRecording() && !tailSampling?.isPending(span.spanContext().traceId)) {
+        saveTraceIds(this?.runExecutionData, span.spanContext(), {
+          urlTemplate: TRACE_URL_TEMPLATE,
+          executionId,
+          workflowId,
+        })
+      }
+      if (workflowParent.resume) {
+        span.addEvent('n8n.execution.resumed', {
+          'n8n.wait.duration_ms': workflowAttributes['n8n.wait.duration_ms'] ?? 0,
+        })
+      }
 
       if (DEBUG) {
         console.debug(`${LOGPREFIX}: starting n8n workflow span`, {
@@ -673,10 +1487,15 @@ function setupN8nOpenTelemetry() {
           executionId,
           sessionId,
           spanName: workflowSpanName,
+          parentExecutionId: parentExecution?.executionId,
         })
       }
 
-      const activeContext = trace.setSpan(context.active(), span)
+      const activeContext = trace
+        .setSpan(workflowParent.parentContext, span)
+        .setValue(USAGE_TOTALS_KEY, executionState.usage)
+      const workflowStartTime = Date.now()
+      let workflowStatus = 'ok'
       return context.with(activeContext, () => {
         const cancelable = originalProcessRun.apply(this, arguments)
         cancelable
@@ -684,15 +1503,26 @@ function setupN8nOpenTelemetry() {
             (result) => {
               if (result?.data?.resultData?.error) {
                 const err = result.data.resultData.error
+                workflowStatus = 'error'
                 span.recordException(err)
                 span.setStatus({
                   code: SpanStatusCode.ERROR,
                   message: String(err.message || err),
                 })
+                span.setAttributes(buildWorkflowErrorAttributes(err, wfData, this.mode))
               } else {
                 span.setStatus({ code: SpanStatusCode.OK })
               }
-              if (CAPTURE_IO) {
+              // Paused by a Wait node; the run that resumes it reads the context saved at start
+              const waitTill = getWaitTill(result)
+              if (waitTill) {
+                span.setAttribute('n8n.execution.waiting', true)
+                span.addEvent('n8n.execution.waiting', {
+                  'n8n.wait.till': waitTill.toISOString(),
+                  'n8n.wait.node': result?.data?.resultData?.lastNodeExecuted || 'unknown',
+                })
+              }
+              if (CAPTURE_IO && span.isRecording()) {
                 // Workflow output: extract only the final node's output
                 // (not the entire runData which contains execution logs for every node)
                 try {
@@ -715,7 +1545,8 @@ function setupN8nOpenTelemetry() {
                       }
                     }
                     if (outputItems.length) {
-                      const finalOutput = outputItems.length === 1 ? outputItems[0] : outputItems
+                      const redactedItems = REDACTOR.redact(outputItems)
+                      const finalOutput = redactedItems.length === 1 ? redactedItems[0] : redactedItems
                       const outputStr = truncateIO(safeJSONStringify(finalOutput))
                       span.setAttribute('output.value', outputStr)
                       span.setAttribute('output.mime_type', 'application/json')
@@ -736,15 +1567,30 @@ function setupN8nOpenTelemetry() {
               }
             },
             (error) => {
+              workflowStatus = 'error'
               span.recordException(error)
               span.setStatus({
                 code: SpanStatusCode.ERROR,
                 message: String(error.message || error),
               })
+              span.setAttributes(buildWorkflowErrorAttributes(error, wfData, this.mode))
             },
           )
           .finally(() => {
+            // Sub-workflow totals roll up into a still running parent execution
+            const rollUp = !!parentState && !parentState.ended
+            if (rollUp) parentState.usage.merge(executionState.usage)
+            span.setAttributes(executionState.usage.toAttributes())
+            N8N_METRICS.recordWorkflow({
+              workflowId,
+              status: workflowStatus,
+              durationMs: Date.now() - workflowStartTime,
+              // Counted once, on the execution the cost rolls up to
+              llmCost: rollUp ? undefined : executionState.usage.totalCost,
+            })
             span.end()
+            executionState.ended = true
+            if (executionId !== 'unknown') retireExecutionState(executionState)
           })
         return cancelable
       })
@@ -777,7 +1623,11 @@ function setupN8nOpenTelemetry() {
       // Read args positionally for span metadata, but pass ALL args through
       const workflow = arguments[0]
       const executionData = arguments[1]
+      const runIndex = arguments[3]
       const additionalData = arguments[4]
+      const mode = arguments[5]
+      // EngineResponse with tool results, passed back to V3 agents
+      const engineResponse = arguments[7]
 
       // Safeguard against undefined this context
       if (!this) {
@@ -788,8 +1638,14 @@ function setupN8nOpenTelemetry() {
       const node = executionData?.node ?? 'unknown'
 
       const executionId = additionalData?.executionId ?? 'unknown'
-      const sessionId = deriveSessionId(executionId)
-      const userId = additionalData?.userId ?? 'unknown'
+      // session.id / user.id are resolved once per execution (see resolveExecutionIdentity)
+      const executionState = executionStates.get(executionId)
+      if (executionState) {
+        refineExecutionIdentity(executionState, executionData, workflow, this.runExecutionData, additionalData)
+        recordTriggerInput(executionState, { node: executionData?.node, items: collectMainItems(executionData?.data) })
+      }
+      const sessionId = executionState?.sessionId ?? executionId
+      const userId = executionState?.userId ?? additionalData?.userId ?? 'unknown'
 
       // n8n-specific attributes (kept for context)
       const n8nNodeAttrs = {
@@ -815,7 +1671,15 @@ function setupN8nOpenTelemetry() {
       // Determine OpenInference span kind
       let spanKind
       if (MAP_OPENINFERENCE_SPAN_KINDS) {
-        spanKind = mapNodeToSpanKind(node?.type, n8nNodeAttrs)
+        const mapping = SPAN_KIND_MAPPER.explain(node?.type, n8nNodeAttrs)
+        spanKind = mapping.kind
+        if (SPAN_KIND_REPORT) {
+          n8nNodeAttrs['n8n.span_kind.rule'] = mapping.rule
+          if (!reportedNodeTypes.has(node?.type)) {
+            reportedNodeTypes.add(node?.type)
+            console.log(`${LOGPREFIX}: Span kind ${node?.type} -> ${spanKind || 'CHAIN (default)'} [${mapping.rule}]`)
+          }
+        }
       }
       if (!spanKind) spanKind = 'CHAIN'
 
@@ -832,6 +1696,58 @@ function setupN8nOpenTelemetry() {
           'n8n.node.type': node?.type || 'unknown',
         }),
       }
+      if (spanKind === 'LLM') {
+        // Configured provider / model / options; the response model replaces llm.model_name later
+        Object.assign(nodeAttributes, extractLlmInvocationAttributes(node))
+      } else if (spanKind === 'EMBEDDING') {
+        Object.assign(nodeAttributes, extractEmbeddingModelAttributes(node))
+      }
+
+      // Tool nodes: OpenInference tool attributes, and the tool call id when a V3 agent requested this run
+      const nodeLinks = []
+      const toolCall = executionState?.toolCalls.claim(node?.name, executionData?.data?.ai_tool?.[0]?.[0]?.json)
+      if (toolCall || isToolNode(node, spanKind)) {
+        const items = executionData?.data?.main?.[0] || []
+        Object.assign(nodeAttributes, extractToolAttributes(node, (value) =>
+          resolveNodeParameter(workflow, value, { runExecutionData: this.runExecutionData, runIndex, node, items, mode })))
+      }
+      if (toolCall) {
+        if (toolCall.id) nodeAttributes['tool_call.id'] = String(toolCall.id)
+        nodeLinks.push({ context: toolCall.spanContext, attributes: { 'n8n.link.type': 'tool_call' } })
+      }
+
+      // Retry On Fail: n8n calls runNode once per attempt; later attempts link to the failed ones
+      const maxTries = getMaxTries(node)
+      const errorHandling = getErrorHandling(node)
+      const attempt = executionState?.nodeAttempts.start(node?.name, runIndex)
+      if (attempt && (maxTries > 1 || attempt.attempt > 1)) {
+        nodeAttributes['n8n.node.attempt'] = attempt.attempt
+        nodeAttributes['n8n.node.max_tries'] = maxTries
+        for (const failure of attempt.failures) {
+          nodeLinks.push({
+            context: failure.spanContext,
+            attributes: { 'n8n.link.type': 'previous_attempt', 'n8n.node.attempt': failure.attempt },
+          })
+        }
+      }
+
+      // Execution graph: which runs of which nodes fed this run, and how many items
+      if (CAPTURE_NODE_GRAPH) {
+        const executionIndex = executionState ? ++executionState.nodeRunCount : undefined
+        Object.assign(nodeAttributes, extractInputGraphAttributes(executionData, runIndex, executionIndex))
+        for (const [inputIndex, source] of (executionData?.source?.main || []).entries()) {
+          const sourceSpanContext = source && executionState?.nodeRunSpans.get(`${source.previousNode}#${source.previousNodeRun ?? 0}`)
+          if (!sourceSpanContext) continue
+          nodeLinks.push({
+            context: sourceSpanContext,
+            attributes: {
+              'n8n.link.type': 'source_node',
+              'n8n.node.input_index': inputIndex,
+              'n8n.node.source.output_index': source.previousNodeOutput ?? 0,
+            },
+          })
+        }
+      }
 
       let nodeSpanName
       if (USE_NODE_NAME_SPAN) {
@@ -847,26 +1763,41 @@ function setupN8nOpenTelemetry() {
 
       return tracer.startActiveSpan(
         nodeSpanName,
-        { attributes: nodeAttributes, kind: SpanKind.INTERNAL },
+        { attributes: nodeAttributes, kind: SpanKind.INTERNAL, links: nodeLinks },
         async (nodeSpan) => {
+          // Track running node spans so sub-workflows started by this node can nest under it
+          const openNodeEntry = { name: node?.name, span: nodeSpan }
+          executionState?.openNodeSpans.push(openNodeEntry)
+          const nodeStartTime = Date.now()
+          let nodeStatus = 'ok'
+          let nodeTokens
+          if (attempt?.failures.length) {
+            nodeSpan.setAttribute('n8n.node.failed_attempts', attempt.failures.length)
+            for (const failure of attempt.failures) {
+              nodeSpan.addEvent('n8n.node.retry', {
+                'n8n.node.attempt': failure.attempt,
+                'exception.type': failure.error?.name || 'Error',
+                'exception.message': errorMessage(failure.error),
+              })
+            }
+          }
+
+          // Spans dropped by sampling are non-recording: skip the I/O serialization work
+          const captureIO = CAPTURE_IO && nodeSpan.isRecording()
+
+          // LLM / AGENT spans get the full message list once the node has run
+          const captureMessages = captureIO && (spanKind === 'LLM' || spanKind === 'AGENT')
+          const messageContext = { node, workflow, runExecutionData: this.runExecutionData, executionData, runIndex, mode, engineResponse }
+
           // Capture node input *before* execution (OpenInference input.value)
-          if (CAPTURE_IO) {
+          if (captureIO) {
             try {
               const inputObj = extractNodeInputFromExecutionData(executionData)
               if (inputObj) {
                 const inputStr = truncateIO(safeJSONStringify(inputObj))
                 nodeSpan.setAttribute('input.value', inputStr)
                 nodeSpan.setAttribute('input.mime_type', 'application/json')
-
-                if (spanKind === 'LLM') {
-                  const inputData = Array.isArray(inputObj) ? inputObj[0] : inputObj
-                  const userContent = inputData?.chatInput || inputData?.text || inputData?.prompt || inputData?.query
-                  if (userContent) {
-                    nodeSpan.setAttribute('llm.input_messages.0.message.role', 'user')
-                    nodeSpan.setAttribute('llm.input_messages.0.message.content',
-                      typeof userContent === 'string' ? userContent : safeJSONStringify(userContent))
-                  }
-                }
+                messageContext.nodeInput = inputObj
               }
             } catch (e) {
               if (DEBUG)
@@ -876,14 +1807,20 @@ function setupN8nOpenTelemetry() {
           try {
             // Pass ALL original arguments through to preserve compatibility
             // with newer n8n versions (e.g. EngineResponse parameter for V3 agents)
-            const result = await originalRunNode.apply(this, originalArgs)
+            // The running node type decides whether its HTTP calls get trace headers
+            const result = PROPAGATION_OUTBOUND
+              ? await context.with(setCurrentNode(context.active(), node), () => originalRunNode.apply(this, originalArgs))
+              : await originalRunNode.apply(this, originalArgs)
 
             // Check if this is an EngineRequest (V3 agent requesting tool execution).
             // EngineRequests have an 'actions' property and are NOT normal node output.
             const isEngineReq = result && typeof result === 'object' && 'actions' in result
+            if ((spanKind === 'LLM' || spanKind === 'AGENT') && !isEngineReq) {
+              nodeTokens = extractNodeTokenUsage(result, nodeAttributes['llm.model_name'])
+            }
 
             try {
-              if (CAPTURE_IO && !isEngineReq) {
+              if (captureIO && !isEngineReq) {
                 if (DEBUG) {
                   console.log(`${LOGPREFIX}: [output] node=${node?.name} type=${node?.type}`,
                     'result keys:', result ? Object.keys(result) : 'null',
@@ -905,88 +1842,53 @@ function setupN8nOpenTelemetry() {
                     })
                   }
                 }
-                const extracted = extractNodeOutput(result)
+                const extracted = extractNodeOutput(result, spanKind)
                 if (extracted) {
-                  const outputStr = truncateIO(safeJSONStringify(extracted))
+                  // Full document / embedding items feed their own attributes, not output.value
+                  const { documentItems, embeddingItems, ...outputPreview } = extracted
+                  const outputStr = truncateIO(safeJSONStringify(outputPreview))
                   nodeSpan.setAttribute('output.value', outputStr)
                   nodeSpan.setAttribute('output.mime_type', 'application/json')
 
-                  if (spanKind === 'LLM') {
+                  if (documentItems) {
+                    recordDocumentAttributes(nodeSpan, spanKind, node, messageContext.nodeInput, documentItems)
+                  }
+                  if (embeddingItems) {
+                    try {
+                      const inputItems = messageContext.nodeInput == null ? [] : [].concat(messageContext.nodeInput)
+                      nodeSpan.setAttributes(extractEmbeddingAttributes(inputItems, embeddingItems, { ...EMBEDDING_OPTIONS, mapText: formatMessageText }))
+                    } catch (e) {
+                      if (DEBUG) console.warn(`${LOGPREFIX}: Failed to record embedding attributes`, e)
+                    }
+                  }
+
+                  if (spanKind === 'LLM' || spanKind === 'AGENT') {
                     try {
                       const outputItems = extracted?.items || []
                       const firstItem = outputItems[0] || {}
-
-                      // LangChain-style generation data: { generations: [[{text, message}]], llmOutput: {...} }
-                      const generations = firstItem.generations
+                      messageContext.outputItems = outputItems
                       let hasLLMOutput = false
 
-                      if (generations && Array.isArray(generations) && generations[0]?.length) {
-                        const gen = generations[0][0]
-                        const textContent = gen?.text || ''
-
-                        nodeSpan.setAttribute('llm.output_messages.0.message.role', 'assistant')
-                        if (textContent) {
-                          nodeSpan.setAttribute('llm.output_messages.0.message.content', textContent)
-                        }
-
-                        // Extract tool calls from the generation message.
-                        // The message can appear in multiple forms:
-                        // - Class instance: msg.tool_calls (direct), msg.lc_kwargs.tool_calls (getter)
-                        // - JSON-serialized: msg.kwargs.tool_calls (toJSON() uses kwargs not lc_kwargs)
-                        // - OpenAI raw format: msg.additional_kwargs.tool_calls or msg.kwargs.additional_kwargs.tool_calls
-                        const msg = gen?.message
-                        let toolCalls = []
-                        if (msg) {
-                          if (DEBUG) {
-                            console.debug(`${LOGPREFIX}: [LLM output] message keys: [${Object.keys(msg)}]`,
-                              'tool_calls?', !!msg.tool_calls,
-                              'kwargs?.tool_calls?', !!msg.kwargs?.tool_calls,
-                              'lc_kwargs?.tool_calls?', !!msg.lc_kwargs?.tool_calls)
-                          }
-                          toolCalls =
-                            msg.tool_calls ||                                   // class instance direct property
-                            msg.lc_kwargs?.tool_calls ||                         // class instance lc_kwargs getter
-                            msg.kwargs?.tool_calls ||                            // JSON.stringify serialized form
-                            msg.additional_kwargs?.tool_calls ||                  // OpenAI format on instance
-                            msg.kwargs?.additional_kwargs?.tool_calls ||          // OpenAI format in serialized form
-                            []
-                        } else if (DEBUG) {
-                          console.debug(`${LOGPREFIX}: [LLM output] generation has no message property. gen keys: [${gen ? Object.keys(gen) : 'null'}]`)
-                        }
-
-                        if (Array.isArray(toolCalls) && toolCalls.length) {
-                          toolCalls.forEach((tc, idx) => {
-                            // Handle both LangChain normalized ({name, args}) and OpenAI raw ({function: {name, arguments}})
-                            const fnName = tc.name || tc.function?.name || 'unknown'
-                            const fnArgs = tc.args || tc.function?.arguments || {}
-                            nodeSpan.setAttribute(
-                              `llm.output_messages.0.message.tool_calls.${idx}.tool_call.function.name`,
-                              fnName
-                            )
-                            nodeSpan.setAttribute(
-                              `llm.output_messages.0.message.tool_calls.${idx}.tool_call.function.arguments`,
-                              typeof fnArgs === 'string' ? fnArgs : safeJSONStringify(fnArgs)
-                            )
-                          })
-                        }
+                      // LangChain generations ({ generations: [[{text, message}, ...]] }) or agent output
+                      const outputMessages = buildOutputMessages(firstItem)
+                      if (outputMessages.length) {
+                        nodeSpan.setAttributes(messagesToAttributes('llm.output_messages', outputMessages, formatMessageText))
                         hasLLMOutput = true
                       }
 
-                      // Extract token usage and response id from llmOutput
+                      // Prefer the model the provider reports over the configured one
+                      const responseModel = extractResponseModel(firstItem)
+                      if (responseModel) {
+                        nodeSpan.setAttribute('llm.model_name', responseModel)
+                      }
+
+                      // Extract token usage (priced by the cost processor) and response id from llmOutput
+                      nodeSpan.setAttributes(extractTokenCounts(firstItem))
                       const llmOutput = firstItem.llmOutput
                       if (llmOutput) {
                         if (llmOutput.id) {
                           nodeSpan.setAttribute('llm.response.id', llmOutput.id)
                         }
-                        const usage = llmOutput.estimatedTokenUsage || llmOutput.tokenUsage
-                        if (usage) {
-                          if (usage.promptTokens != null)
-                            nodeSpan.setAttribute('llm.token_count.prompt', usage.promptTokens)
-                          if (usage.completionTokens != null)
-                            nodeSpan.setAttribute('llm.token_count.completion', usage.completionTokens)
-                          if (usage.totalTokens != null)
-                            nodeSpan.setAttribute('llm.token_count.total', usage.totalTokens)
-                        }
                         hasLLMOutput = true
                       }
 
@@ -1005,24 +1907,94 @@ function setupN8nOpenTelemetry() {
                 } else if (DEBUG) {
                   console.debug(`${LOGPREFIX}: No output extracted for ${node?.name}`)
                 }
-              } else if (isEngineReq && DEBUG) {
-                console.debug(`${LOGPREFIX}: Node ${node?.name} returned EngineRequest (tool calls pending), skipping output capture`)
+              } else if (isEngineReq) {
+                // The agent asks n8n to run tool nodes; their spans pick up these ids
+                const toolCalls = getEngineRequestToolCalls(result)
+                executionState?.toolCalls.register(toolCalls, nodeSpan.spanContext())
+                if (captureIO && toolCalls.length) {
+                  nodeSpan.setAttribute('output.value', truncateIO(safeJSONStringify(REDACTOR.redact({ toolCalls }))))
+                  nodeSpan.setAttribute('output.mime_type', 'application/json')
+                  if (captureMessages) {
+                    nodeSpan.setAttributes(messagesToAttributes('llm.output_messages', [{ role: 'assistant', content: '', toolCalls }], formatMessageText))
+                  }
+                }
+                if (DEBUG) {
+                  console.debug(`${LOGPREFIX}: Node ${node?.name} returned EngineRequest with ${toolCalls.length} tool call(s)`)
+                }
               }
             } catch (error) {
               console.warn('Failed to set node output attributes: ', error)
             }
-            nodeSpan.setStatus({ code: SpanStatusCode.OK })
+            if (CAPTURE_NODE_GRAPH && !isEngineReq) {
+              try {
+                nodeSpan.setAttributes(extractOutputGraphAttributes(result))
+              } catch (e) {
+                if (DEBUG) console.warn(`${LOGPREFIX}: Failed to record node output graph`, e)
+              }
+            }
+            executionState?.nodeAttempts.succeed(node?.name, runIndex)
+            // Continue-on-fail nodes succeed with the failed items as error items
+            const errorItems = errorHandling !== 'stopWorkflow' && !isEngineReq
+              ? getErrorItems(result, errorHandling)
+              : undefined
+            if (errorItems?.count) {
+              nodeStatus = 'error_output'
+              nodeSpan.setAttribute('n8n.node.status', 'error_output')
+              nodeSpan.setAttribute('n8n.node.error_count', errorItems.count)
+              nodeSpan.addEvent('n8n.node.error_output', {
+                'n8n.node.error_count': errorItems.count,
+                'n8n.node.item_count': errorItems.total,
+                'exception.message': errorItems.firstMessage,
+              })
+              nodeSpan.setStatus({
+                code: SpanStatusCode.ERROR,
+                message: `${errorItems.count} of ${errorItems.total} item(s) failed: ${errorItems.firstMessage}`,
+              })
+            } else {
+              nodeSpan.setStatus({ code: SpanStatusCode.OK })
+            }
+            // Last: a long conversation must not crowd out the attributes above
+            if (captureMessages) recordInputMessages(nodeSpan, messageContext)
             return result
           } catch (error) {
+            nodeStatus = 'error'
             nodeSpan.recordException(error)
             nodeSpan.setStatus({
               code: SpanStatusCode.ERROR,
               message: String(error.message || error),
             })
-            nodeSpan.setAttribute('n8n.node.status', 'error')
+            nodeSpan.setAttributes(extractErrorAttributes(error, { includeDetails: captureIO, mapText: formatMessageText }))
+            const finalAttempt = !attempt || attempt.attempt >= maxTries
+            executionState?.nodeAttempts.fail(node?.name, runIndex, error, nodeSpan.spanContext(), finalAttempt)
+            if (!finalAttempt) {
+              nodeSpan.setAttribute('n8n.node.status', 'retrying')
+            } else if (errorHandling !== 'stopWorkflow') {
+              // n8n turns the error into an output item and the workflow continues
+              nodeSpan.setAttribute('n8n.node.status', 'error_output')
+              nodeSpan.setAttribute('n8n.node.error_count', 1)
+            } else {
+              nodeSpan.setAttribute('n8n.node.status', 'error')
+              // Error Trigger executions link to the span of the node that failed
+              if (executionState) executionState.failedNodeSpanContext = nodeSpan.spanContext()
+            }
+            if (captureMessages) recordInputMessages(nodeSpan, messageContext)
             throw error
           } finally {
+            N8N_METRICS.recordNode({
+              workflowId: workflow?.id,
+              nodeType: node?.type,
+              spanKind,
+              status: nodeStatus,
+              durationMs: Date.now() - nodeStartTime,
+              tokens: nodeTokens,
+            })
             nodeSpan.end()
+            if (executionState) {
+              const idx = executionState.openNodeSpans.indexOf(openNodeEntry)
+              if (idx !== -1) executionState.openNodeSpans.splice(idx, 1)
+              executionState.lastNodeSpanContext = nodeSpan.spanContext()
+              if (CAPTURE_NODE_GRAPH) executionState.nodeRunSpans.set(`${node?.name}#${runIndex ?? 0}`, nodeSpan.spanContext())
+            }
           }
         },
       )
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Workflow span input from the trigger payload.
+ *
+ * The start node's items are summarized per trigger type:
+ *
+ *   webhook           { method, path, query, params, headers, body }
+ *                     headers limited to an allowlist (lower-case names)
+ *   chat              the chat message (text/plain), or { chatInput, sessionId, action, files } as JSON
+ *   form              the submitted fields, without n8n's form bookkeeping
+ *   schedule          { timestamp, timezone, ... } as emitted by the trigger
+ *   execute_workflow  the items passed by the calling workflow
+ *   other             the trigger's items (first item only when there is one)
+ */
+
+const { normalizeNodeType } = require('./openinference-mapper');
+
+// Headers kept by default: request metadata without credentials or client addresses
+const DEFAULT_HEADER_ALLOWLIST = [
+  'content-type',
+  'content-length',
+  'user-agent',
+  'accept',
+  'x-request-id',
+  'x-correlation-id',
+  'traceparent',
+  'tracestate',
+];
+
+// Bare node name -> trigger type
+const TRIGGER_TYPES = {
+  webhook: 'webhook',
+  chattrigger: 'chat',
+  formtrigger: 'form',
+  scheduletrigger: 'schedule',
+  cron: 'schedule',
+  interval: 'schedule',
+  executeworkflowtrigger: 'execute_workflow',
+  manualtrigger: 'manual',
+};
+
+// Fields n8n adds to form submissions
+const FORM_META_FIELDS = new Set(['submittedAt', 'formMode']);
+
+// Max items kept in the input of multi-item triggers
+const MAX_ITEMS = 10;
+
+/**
+ * Trigger type of a start node.
+ * @param {object} node
+ * @returns {string} webhook | chat | form | schedule | execute_workflow | manual | other
+ */
+function getTriggerType(node) {
+  if (typeof node?.type !== 'string') return 'other';
+  const { name } = normalizeNodeType(node.type);
+  return TRIGGER_TYPES[name] || 'other';
+}
+
+function filterHeaders(headers, allowlist) {
+  if (!headers || typeof headers !== 'object') return undefined;
+  const allowAll = allowlist.includes('*');
+  const filtered = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (allowAll || allowlist.includes(key)) filtered[key] = value;
+  }
+  return filtered;
+}
+
+// Webhook items ({ headers, params, query, body, webhookUrl }), also produced by other HTTP triggers
+function isWebhookItem(json) {
+  return json && typeof json === 'object' && 'headers' in json && ('body' in json || 'query' in json);
+}
+
+function summarizeWebhook(json, node, allowlist) {
+  const input = {};
+  const method = node?.parameters?.httpMethod;
+  if (typeof method === 'string') input.method = method;
+  if (typeof node?.parameters?.path === 'string') input.path = node.parameters.path;
+  for (const field of ['query', 'params']) {
+    if (json[field] && Object.keys(json[field]).length) input[field] = json[field];
+  }
+  const headers = filterHeaders(json.headers, allowlist);
+  if (headers && Object.keys(headers).length) input.headers = headers;
+  if (json.body !== undefined) input.body = json.body;
+  return input;
+}
+
+function itemsValue(items) {
+  return items.length === 1 ? items[0] : items.slice(0, MAX_ITEMS);
+}
+
+/**
+ * Build the workflow input from the start node's items.
+ * @param {object} start
+ * @param {object} [start.node] - The start (trigger) node
+ * @param {object[]} start.items - Item json objects
+ * @param {object} [options]
+ * @param {string[]} [options.headerAllowlist] - Lower-case header names kept for webhooks ('*' keeps all)
+ * @returns {{ type: string, value: any, mimeType: string } | undefined}
+ *   value is a string for text/plain, an object for application/json
+ */
+function buildTriggerInput({ node, items } = {}, { headerAllowlist = DEFAULT_HEADER_ALLOWLIST } = {}) {
+  if (!Array.isArray(items) || !items.length) return undefined;
+  const type = getTriggerType(node);
+  const first = items[0];
+  const json = (value) => ({ type, value, mimeType: 'application/json' });
+
+  if (type === 'chat') {
+    const onlyText = typeof first?.chatInput === 'string' && !first.files?.length && Object.keys(first).every((k) => ['chatInput', 'sessionId', 'action'].includes(k));
+    if (onlyText) return { type, value: first.chatInput, mimeType: 'text/plain' };
+    const { chatInput, sessionId, action, files } = first || {};
+    return json({ chatInput, sessionId, action, files });
+  }
+  if (type === 'form') {
+    const fields = {};
+    for (const [key, value] of Object.entries(first || {})) {
+      if (!FORM_META_FIELDS.has(key)) fields[key] = value;
+    }
+    return json(fields);
+  }
+  if (type === 'webhook' || isWebhookItem(first)) {
+    return json(summarizeWebhook(first, node, headerAllowlist));
+  }
+  return json(itemsValue(items));
+}
+
+module.exports = { DEFAULT_HEADER_ALLOWLIST, getTriggerType, buildTriggerInput };
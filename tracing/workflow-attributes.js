@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Workflow definition attributes for workflow spans:
+ *
+ *   n8n.workflow.tags             tag names (also OpenInference tag.tags)
+ *   n8n.workflow.version_id       versionId, changes on every save
+ *   n8n.workflow.active           whether the workflow is active
+ *   n8n.workflow.node_count       nodes, sticky notes excluded
+ *   n8n.workflow.graph_hash       hash of the nodes (name, type, version) and connections
+ *   n8n.workflow.definition_hash  graph_hash plus node parameters and settings: changes with
+ *                                 any edit that affects execution (e.g. a prompt)
+ *   n8n.project.id / .name / .type  project owning the workflow (personal: without the email)
+ *   n8n.workflow.owner.id         owner of a personal project (no email: it would reach every span)
+ *
+ * The Workflow instance n8n executes carries nodes, connections and settings;
+ * tags, versionId, active and the owning project come from the workflow record
+ * (IWorkflowBase) n8n's execution hooks hold, when n8n provides them.
+ */
+
+const crypto = require('crypto');
+
+const STICKY_NOTE_TYPE = 'n8n-nodes-base.stickyNote';
+
+// Node fields that change what a node does (position, ids, notes and credentials don't)
+const DEFINITION_FIELDS = [
+  'parameters',
+  'disabled',
+  'onError',
+  'continueOnFail',
+  'retryOnFail',
+  'maxTries',
+  'waitBetweenTries',
+  'alwaysOutputData',
+  'executeOnce',
+];
+
+// Workflow tag names; tags may be plain strings or { id, name } objects depending on the source
+function getTagNames(tags) {
+  if (!Array.isArray(tags)) return [];
+  return tags.map((t) => (typeof t === 'string' ? t : t?.name)).filter((t) => typeof t === 'string' && t);
+}
+
+function getNodes(workflow) {
+  const nodes = workflow?.nodes;
+  const list = Array.isArray(nodes) ? nodes : nodes && typeof nodes === 'object' ? Object.values(nodes) : [];
+  return list.filter((node) => node && typeof node.name === 'string' && node.type !== STICKY_NOTE_TYPE);
+}
+
+// 'source#type#output->target#type#input' for every connection
+function getEdges(workflow) {
+  const connections = workflow?.connectionsBySourceNode ?? workflow?.connections ?? {};
+  const edges = [];
+  for (const [source, byType] of Object.entries(connections)) {
+    for (const [type, outputs] of Object.entries(byType || {})) {
+      (outputs || []).forEach((targets, outputIndex) => {
+        for (const target of targets || []) {
+          if (target?.node) edges.push(`${source}#${type}#${outputIndex}->${target.node}#${target.type}#${target.index ?? 0}`);
+        }
+      });
+    }
+  }
+  return edges.sort();
+}
+
+// JSON with sorted object keys, so equal definitions hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hashes of a workflow's graph and definition.
+ * @param {object} workflow - Workflow instance or IWorkflowBase
+ * @returns {{ graphHash: string, definitionHash: string, nodeCount: number }}
+ */
+function hashWorkflow(workflow) {
+  const nodes = getNodes(workflow).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  const graph = {
+    nodes: nodes.map((node) => [node.name, node.type, node.typeVersion ?? 1]),
+    edges: getEdges(workflow),
+  };
+  const definition = {
+    graph,
+    nodes: nodes.map((node) => Object.fromEntries(DEFINITION_FIELDS.map((field) => [field, node[field]]))),
+    settings: workflow?.settings ?? {},
+  };
+  return { graphHash: hash(graph), definitionHash: hash(definition), nodeCount: nodes.length };
+}
+
+// Project owning the workflow: homeProject (API shape) or the owner share
+function getProject(record) {
+  if (record?.homeProject?.id) return record.homeProject;
+  const shares = Array.isArray(record?.shared) ? record.shared : [];
+  return shares.find((share) => share?.role === 'workflow:owner')?.project;
+}
+
+// Personal projects are named "First Last <email>": keep the name only
+function getProjectName(project) {
+  if (typeof project?.name !== 'string') return undefined;
+  return project.type === 'personal' ? project.name.replace(/\s*<[^<>]*@[^<>]*>\s*$/, '') : project.name;
+}
+
+function getOwner(record, project) {
+  const relations = Array.isArray(project?.projectRelations) ? project.projectRelations : [];
+  const owner = relations.find((relation) => relation?.role === 'project:personalOwner')?.user;
+  return owner ?? record?.ownedBy ?? record?.owner;
+}
+
+/**
+ * Attributes of the workflow being executed.
+ * @param {object} workflow - The Workflow instance passed to processRunExecutionData
+ * @param {object} [record] - The workflow record (IWorkflowBase), e.g. from the execution hooks
+ * @returns {object} attributes
+ */
+function extractWorkflowAttributes(workflow, record) {
+  const attributes = {};
+  const set = (key, value) => {
+    if (value !== undefined && value !== null && value !== '') attributes[key] = value;
+  };
+
+  const tags = [...new Set([...getTagNames(workflow?.tags), ...getTagNames(record?.tags)])];
+  if (tags.length) {
+    attributes['n8n.workflow.tags'] = tags;
+    attributes['tag.tags'] = tags;
+  }
+
+  set('n8n.workflow.version_id', workflow?.versionId ?? record?.versionId);
+  const active = workflow?.active ?? record?.active;
+  if (typeof active === 'boolean') attributes['n8n.workflow.active'] = active;
+
+  // The executed workflow, or the record when n8n passes no nodes
+  const definition = getNodes(workflow).length || !record ? workflow : record;
+  const { graphHash, definitionHash, nodeCount } = hashWorkflow(definition);
+  attributes['n8n.workflow.node_count'] = nodeCount;
+  if (nodeCount) {
+    attributes['n8n.workflow.graph_hash'] = graphHash;
+    attributes['n8n.workflow.definition_hash'] = definitionHash;
+  }
+
+  const project = getProject(workflow) ?? getProject(record);
+  set('n8n.project.id', project?.id);
+  set('n8n.project.name', getProjectName(project));
+  set('n8n.project.type', project?.type);
+  const owner = getOwner(workflow, project) ?? getOwner(record, project);
+  set('n8n.workflow.owner.id', owner?.id);
+  return attributes;
+}
+
+module.exports = { extractWorkflowAttributes, hashWorkflow, getTagNames };
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Per-workflow rule matching shared by the tracing policies (sampling,
+ * exclusion, project routing).
+ *
+ * A rule selects workflows by any combination of:
+ *   workflowId    string or array of ids (exact match)
+ *   workflowName  regex (string) tested against the workflow name
+ *   tag           string or array; matches if the workflow has any of the tags
+ *   mode          string or array of execution modes (manual, trigger, webhook, ...)
+ *   n8nProject    string or array; n8n project name or id (case-insensitive)
+ *   setting       object of workflow settings that must all match, e.g. { "callerPolicy": "none" }
+ *
+ * All criteria present on a rule must match. A rule with no criteria matches
+ * every workflow (useful as a catch-all at the end of a list).
+ *
+ * Rules are matched against workflow span attributes:
+ *   n8n.workflow.id, n8n.workflow.name, n8n.workflow.tags, n8n.execution.mode,
+ *   n8n.project.name / n8n.project.id, n8n.workflow.settings.*
+ */
+
+const fs = require('fs');
+
+function toList(value) {
+  if (value == null) return undefined;
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v));
+}
+
+/**
+ * Compile a rule definition into a matcher.
+ * @param {object} rule - Raw rule from config
+ * @param {number} index - Position in the rule list (used as a fallback name)
+ * @returns {object} The rule with `name` and `matches(attributes)` added
+ */
+function compileWorkflowRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Rule #${index} must be an object`);
+  }
+  const workflowIds = toList(rule.workflowId);
+  const tags = toList(rule.tag)?.map((t) => t.toLowerCase());
+  const modes = toList(rule.mode)?.map((m) => m.toLowerCase());
+  const projects = toList(rule.n8nProject)?.map((p) => p.toLowerCase());
+  if (rule.setting != null && (typeof rule.setting !== 'object' || Array.isArray(rule.setting))) {
+    throw new Error(`Rule #${index} setting must be an object`);
+  }
+  const settings = rule.setting ? Object.entries(rule.setting).map(([key, value]) => [`n8n.workflow.settings.${key}`, String(value)]) : undefined;
+  let namePattern;
+  if (rule.workflowName != null) {
+    try {
+      namePattern = new RegExp(rule.workflowName);
+    } catch (e) {
+      throw new Error(`Rule #${index} has an invalid workflowName regex: ${e.message}`);
+    }
+  }
+
+  function matches(attributes = {}) {
+    if (workflowIds && !workflowIds.includes(String(attributes['n8n.workflow.id'] ?? ''))) return false;
+    if (namePattern && !namePattern.test(String(attributes['n8n.workflow.name'] ?? ''))) return false;
+    if (tags) {
+      const workflowTags = (attributes['n8n.workflow.tags'] || []).map((t) => String(t).toLowerCase());
+      if (!tags.some((t) => workflowTags.includes(t))) return false;
+    }
+    if (modes && !modes.includes(String(attributes['n8n.execution.mode'] ?? '').toLowerCase())) return false;
+    if (projects) {
+      const project = [attributes['n8n.project.name'], attributes['n8n.project.id']].map((p) => String(p ?? '').toLowerCase());
+      if (!projects.some((p) => project.includes(p))) return false;
+    }
+    if (settings && !settings.every(([key, value]) => attributes[key] !== undefined && String(attributes[key]) === value)) return false;
+    return true;
+  }
+
+  return { ...rule, name: rule.name || `rule-${index}`, matches };
+}
+
+/**
+ * Load a rule list from an inline JSON string and/or a JSON file.
+ * Inline rules come first, followed by rules from the file.
+ * @param {object} source
+ * @param {string} [source.json] - JSON array
+ * @param {string} [source.file] - Path to a JSON file containing an array
+ * @param {string} [source.label] - Used in error messages
+ * @returns {object[]} Compiled rules
+ */
+function loadWorkflowRules({ json, file, label = 'rules' }) {
+  const raw = [];
+  if (json && json.trim()) {
+    try {
+      raw.push(...asArray(JSON.parse(json), label));
+    } catch (e) {
+      throw new Error(`Invalid ${label} JSON: ${e.message}`);
+    }
+  }
+  if (file && file.trim()) {
+    try {
+      raw.push(...asArray(JSON.parse(fs.readFileSync(file, 'utf8')), label));
+    } catch (e) {
+      throw new Error(`Invalid ${label} file ${file}: ${e.message}`);
+    }
+  }
+  return raw.map((rule, idx) => compileWorkflowRule(rule, idx));
+}
+
+function asArray(value, label) {
+  if (!Array.isArray(value)) throw new Error(`${label} must be a JSON array`);
+  return value;
+}
+
+/**
+ * Return the first rule matching the attributes.
+ * @param {object[]} rules - Compiled rules
+ * @param {object} attributes - Workflow span attributes
+ * @returns {object|undefined}
+ */
+function findMatchingRule(rules, attributes) {
+  return rules.find((rule) => rule.matches(attributes));
+}
+
+module.exports = { compileWorkflowRule, loadWorkflowRules, findMatchingRule };